@@ -1,15 +1,81 @@
 // ==========================================
-// 调试输出模块 (全屏终端版)
+// 调试输出模块 (控制台 + 可选的终端界面)
 // ==========================================
 const Logger = {
   enabled: true,
+  ui: null, // 浏览器中为 TerminalUI，Node 无头模式下只输出到控制台
+
+  // 内部通用打印函数
+  _print(type, icon, ...messages) {
+    if (!this.enabled) return;
+
+    const timestamp = this._getTimestamp();
+    // 处理对象打印，防止显示 [object Object]
+    const messageText = messages.map(m => {
+      if (typeof m === 'object') {
+        try { return JSON.stringify(m, null, 2); } catch(e) { return String(m); }
+      }
+      return String(m);
+    }).join(' ');
+
+    // 1. 控制台输出 (浏览器中带颜色，Node 会忽略 %c 样式)
+    const consoleStyles = {
+      info:    'color: #00bfff;',
+      success: 'color: #2ecc71;',
+      warn:    'color: #f1c40f;',
+      error:   'color: #e74c3c;',
+      system:  'color: #d35400;'
+    };
+    console.log(`%c[${timestamp}] ${icon} ${messageText}`, consoleStyles[type] || '');
+
+    // 2. 页面终端输出
+    if (this.ui) this.ui.appendLine(type, icon, timestamp, messageText);
+  },
+
+  info(...args) { this._print('info', 'ℹ️', ...args); },
+  success(...args) { this._print('success', '✅', ...args); },
+  warn(...args) { this._print('warn', '⚠️', ...args); },
+  error(...args) { this._print('error', '❌', ...args); },
+  system(...args) { this._print('system', '🚀', ...args); },
+
+  // 兼容旧接口
+  output(...args) { this.info(...args); },
+
+  _getTimestamp() {
+    const now = new Date();
+    const time = now.toLocaleTimeString('zh-CN', { hour12: false });
+    const ms = now.getMilliseconds().toString().padStart(3, '0');
+    return `${time}.${ms}`;
+  }
+};
+
+// ==========================================
+// 全屏终端控制面板 (仅浏览器)：日志筛选 / 导出、进行中的请求、暂停开关与计数
+// ==========================================
+const TerminalUI = {
+  MAX_LINES: 200,     // 页面上最多显示的日志行数
+  MAX_ENTRIES: 2000,  // 内存中保留的日志条数 (筛选与导出使用)
+  LEVELS: { info: 0, success: 0, system: 1, warn: 2, error: 3 },
+  COLORS: { info: '#61dafb', success: '#2ecc71', warn: '#f1c40f', error: '#ff6b6b', system: '#ff79c6' },
+
   container: null,
+  statusDot: null,
+  statusText: null,
+  counters: null,
+  pauseButton: null,
+  operationsBody: null,
+  operationRows: new Map(), // operationId -> 表格行
+  logArea: null,
+  entries: [],
+  filter: { level: 0, text: '' },
+  proxySystem: null,
+  refreshTimer: null,
 
   // 初始化全屏终端 UI
-  _initUI() {
+  init() {
     if (this.container) return;
 
-    // 1. 注入全局样式 (重置 body, 自定义滚动条)
+    // 1. 注入全局样式 (重置 body, 自定义滚动条, 控件)
     const styleSheet = document.createElement('style');
     styleSheet.textContent = `
       * { box-sizing: border-box; }
@@ -22,6 +88,12 @@ const Logger = {
       ::-webkit-scrollbar-track { background: #1a1a1a; }
       ::-webkit-scrollbar-thumb { background: #333; border-radius: 5px; border: 2px solid #1a1a1a; }
       ::-webkit-scrollbar-thumb:hover { background: #555; }
+      .gp-control { background: #1a1a1a; color: #ccc; border: 1px solid #333; border-radius: 3px; padding: 2px 8px; font: inherit; }
+      .gp-control:hover { border-color: #555; }
+      button.gp-control { cursor: pointer; }
+      .gp-table { width: 100%; border-collapse: collapse; }
+      .gp-table th, .gp-table td { text-align: left; padding: 2px 10px 2px 0; white-space: nowrap; }
+      .gp-table th { color: #555; font-weight: normal; }
     `;
     document.head.appendChild(styleSheet);
 
@@ -36,116 +108,325 @@ const Logger = {
       fontSize: '14px',
       lineHeight: '1.6',
       padding: '20px',
-      overflowY: 'auto',          // 允许纵向滚动
-      whiteSpace: 'pre-wrap',     // 保留换行
-      wordBreak: 'break-all'
+      display: 'flex',
+      flexDirection: 'column'
     });
     
-    // 添加终端头部
-    const header = document.createElement('div');
-    header.innerHTML = `
-      <div style="color: #00ff00; font-weight: bold; margin-bottom: 20px; padding-bottom: 10px; border-bottom: 1px dashed #333;">
-        > PROXY SYSTEM TERMINAL_v1.0 <span style="float:right">STATUS: ONLINE</span>
-      </div>
-    `;
-    this.container.appendChild(header);
+    // 终端头部
+    const header = this._element('div', 'color: #00ff00; font-weight: bold; margin-bottom: 10px; padding-bottom: 10px; border-bottom: 1px dashed #333;');
+    header.append('> PROXY SYSTEM TERMINAL_v1.0');
+    this.statusText = this._element('span', 'float: right;', 'STATUS: CONNECTING');
+    header.appendChild(this.statusText);
 
+    // 工具栏：暂停开关、日志级别与文本筛选、导出、计数
+    const toolbar = this._element('div', 'display: flex; flex-wrap: wrap; gap: 8px; align-items: center; margin-bottom: 10px;');
+    this.pauseButton = this._element('button', '', '⏸ 暂停接收');
+    this.pauseButton.className = 'gp-control';
+    this.pauseButton.addEventListener('click', () => {
+      if (this.proxySystem) this.proxySystem.setPaused(!this.proxySystem.paused);
+    });
+
+    const levelSelect = this._element('select', '');
+    levelSelect.className = 'gp-control';
+    [['0', '全部日志'], ['1', '系统及以上'], ['2', '警告及以上'], ['3', '仅错误']].forEach(([value, text]) => {
+      const option = this._element('option', '', text);
+      option.value = value;
+      levelSelect.appendChild(option);
+    });
+    levelSelect.addEventListener('change', () => {
+      this.filter.level = Number(levelSelect.value);
+      this._renderLog();
+    });
+
+    const textFilter = this._element('input', 'width: 200px;');
+    textFilter.className = 'gp-control';
+    textFilter.placeholder = '筛选日志 (如请求 ID)';
+    textFilter.addEventListener('input', () => {
+      this.filter.text = textFilter.value.trim().toLowerCase();
+      this._renderLog();
+    });
+
+    const exportButton = this._element('button', '', '⬇ 导出日志');
+    exportButton.className = 'gp-control';
+    exportButton.addEventListener('click', () => this.exportLogs());
+
+    this.counters = this._element('span', 'margin-left: auto; color: #888;');
+    toolbar.append(this.pauseButton, levelSelect, textFilter, exportButton, this.counters);
+
+    // 进行中的请求
+    const operations = this._element('div', 'max-height: 30%; overflow-y: auto; margin-bottom: 10px; padding-bottom: 10px; border-bottom: 1px dashed #333;');
+    const table = this._element('table', '');
+    table.className = 'gp-table';
+    const head = this._element('tr', '');
+    ['请求 ID', '请求', '耗时', '字节', '尝试', ''].forEach(text => head.appendChild(this._element('th', '', text)));
+    table.appendChild(head);
+    this.operationsBody = this._element('tbody', '');
+    table.appendChild(this.operationsBody);
+    operations.appendChild(table);
+
+    // 日志区域
+    this.logArea = this._element('div', 'flex: 1; overflow-y: auto; white-space: pre-wrap; word-break: break-all;');
+
+    this.container.append(header, toolbar, operations, this.logArea);
     document.body.appendChild(this.container);
+
+    // 3. 右上角状态灯
+    this.statusDot = document.createElement('div');
+    this.statusDot.style.cssText = "position:fixed; top:15px; right:15px; width:12px; height:12px; border-radius:50%; background:gray; z-index:9999; border: 2px solid #333; transition: background 0.2s;";
+    document.body.appendChild(this.statusDot);
   },
 
-  // 内部通用打印函数
-  _print(type, icon, ...messages) {
-    if (!this.enabled) return;
-    if (!this.container) this._initUI();
+  _element(tag, cssText, text) {
+    const element = document.createElement(tag);
+    if (cssText) element.style.cssText = cssText;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  },
 
-    const timestamp = this._getTimestamp();
-    // 处理对象打印，防止显示 [object Object]
-    const messageText = messages.map(m => {
-      if (typeof m === 'object') {
-        try { return JSON.stringify(m, null, 2); } catch(e) { return String(m); }
-      }
-      return String(m);
-    }).join(' ');
+  appendLine(type, icon, timestamp, messageText) {
+    if (!this.container) this.init();
 
-    // 1. 浏览器控制台输出 (保持原有彩色)
-    const consoleStyles = {
-      info:    'color: #00bfff;',
-      success: 'color: #2ecc71;',
-      warn:    'color: #f1c40f;',
-      error:   'color: #e74c3c;',
-      system:  'color: #d35400;'
-    };
-    console.log(`%c[${timestamp}] ${icon} ${messageText}`, consoleStyles[type] || '');
+    const entry = { type, icon, timestamp, text: messageText };
+    this.entries.push(entry);
+    if (this.entries.length > this.MAX_ENTRIES) this.entries.shift();
+    if (!this._matches(entry)) return;
 
-    // 2. 页面终端输出
-    const logLine = document.createElement('div');
-    logLine.style.marginBottom = '6px';
-    logLine.style.display = 'flex';
-    
-    // 定义颜色映射
-    let colorStyle = '#eee'; // 默认
-    let bgStyle = 'transparent';
-    
-    if (type === 'info') colorStyle = '#61dafb';     // 浅蓝
-    if (type === 'success') colorStyle = '#2ecc71';  // 绿色
-    if (type === 'warn') colorStyle = '#f1c40f';     // 黄色
-    if (type === 'error') {
-      colorStyle = '#ff6b6b';                        // 红色
-      bgStyle = 'rgba(255, 107, 107, 0.1)';          // 错误行加个淡红背景
-    } 
-    if (type === 'system') colorStyle = '#ff79c6';   // 粉紫
-
-    logLine.innerHTML = `
-      <span style="color: #555; margin-right: 10px; flex-shrink: 0; user-select: none;">[${timestamp}]</span>
-      <span style="margin-right: 8px; user-select: none;">${icon}</span>
-      <span style="color: ${colorStyle}; background: ${bgStyle}; flex: 1;">${messageText}</span>
-    `;
-    
-    this.container.appendChild(logLine);
+    // 智能滚动：如果用户没有向上滚动查看历史，则自动滚到底部
+    const isScrolledToBottom = this.logArea.scrollHeight - this.logArea.clientHeight <= this.logArea.scrollTop + 50;
+    this.logArea.appendChild(this._renderLine(entry));
     
-    // 限制 DOM 节点数量防止崩溃 (保留 Header + 200 行)
-    while (this.container.children.length > 201) {
-      this.container.removeChild(this.container.children[1]);
+    // 限制 DOM 节点数量防止崩溃
+    while (this.logArea.children.length > this.MAX_LINES) {
+      this.logArea.removeChild(this.logArea.firstChild);
     }
     
-    // 智能滚动：如果用户没有向上滚动查看历史，则自动滚到底部
-    const isScrolledToBottom = this.container.scrollHeight - this.container.clientHeight <= this.container.scrollTop + 50;
     if (isScrolledToBottom || type === 'error' || type === 'system') {
-        this.container.scrollTop = this.container.scrollHeight;
+      this.logArea.scrollTop = this.logArea.scrollHeight;
     }
   },
 
-  info(...args) { this._print('info', 'ℹ️', ...args); },
-  success(...args) { this._print('success', '✅', ...args); },
-  warn(...args) { this._print('warn', '⚠️', ...args); },
-  error(...args) { this._print('error', '❌', ...args); },
-  system(...args) { this._print('system', '🚀', ...args); },
+  _matches(entry) {
+    return (this.LEVELS[entry.type] || 0) >= this.filter.level
+      && (!this.filter.text || entry.text.toLowerCase().includes(this.filter.text));
+  },
 
-  // 兼容旧接口
-  output(...args) { this.info(...args); },
+  _renderLine(entry) {
+    const logLine = this._element('div', 'margin-bottom: 6px; display: flex;');
+    const color = this.COLORS[entry.type] || '#eee';
+    // 错误行加个淡红背景
+    const background = entry.type === 'error' ? 'rgba(255, 107, 107, 0.1)' : 'transparent';
+    logLine.append(
+      this._element('span', 'color: #555; margin-right: 10px; flex-shrink: 0; user-select: none;', `[${entry.timestamp}]`),
+      this._element('span', 'margin-right: 8px; user-select: none;', entry.icon),
+      this._element('span', `color: ${color}; background: ${background}; flex: 1;`, entry.text)
+    );
+    return logLine;
+  },
 
-  _getTimestamp() {
-    const now = new Date();
-    const time = now.toLocaleTimeString('zh-CN', { hour12: false });
-    const ms = now.getMilliseconds().toString().padStart(3, '0');
-    return `${time}.${ms}`;
+  // 筛选条件变化后按内存中的日志重新渲染
+  _renderLog() {
+    this.logArea.textContent = '';
+    this.entries.filter(entry => this._matches(entry)).slice(-this.MAX_LINES)
+      .forEach(entry => this.logArea.appendChild(this._renderLine(entry)));
+    this.logArea.scrollTop = this.logArea.scrollHeight;
+  },
+
+  // 导出内存中的全部日志 (不受筛选影响)
+  exportLogs() {
+    const text = this.entries.map(entry => `[${entry.timestamp}] ${entry.type.toUpperCase()} ${entry.text}`).join('\n');
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `g-browser-${new Date().toISOString().replace(/[:.]/g, '-')}.log`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  // 绑定代理系统：状态灯与状态文字跟随 status 事件 (收到消息闪烁黄色)，请求表格与计数定时刷新
+  attach(proxySystem) {
+    this.init();
+    this.proxySystem = proxySystem;
+    proxySystem.addEventListener('status', (event) => {
+      if (event.detail === 'activity') {
+        this.statusDot.style.background = '#f1c40f';
+        setTimeout(() => this._renderStatus(), 100);
+      } else {
+        this._renderStatus();
+      }
+    });
+    this._renderStatus();
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = setInterval(() => {
+      this._renderOperations();
+      this._renderCounters();
+    }, 500);
+  },
+
+  _renderStatus() {
+    const system = this.proxySystem;
+    const [status, color] = !system.connectionManager.isConnected ? ['OFFLINE', '#ff6b6b']
+      : system.paused ? ['PAUSED', '#e67e22'] : ['ONLINE', '#2ecc71'];
+    this.statusDot.style.background = color;
+    this.statusText.textContent = `STATUS: ${status}`;
+    this.statusText.style.color = color;
+    this.pauseButton.textContent = system.paused ? '▶ 恢复接收' : '⏸ 暂停接收';
+  },
+
+  // 原地更新表格行，避免刷新时吞掉正在进行的点击
+  _renderOperations() {
+    const operations = this.proxySystem.requestProcessor.activeOperations;
+    this.operationRows.forEach((row, operationId) => {
+      if (operations.has(operationId)) return;
+      row.remove();
+      this.operationRows.delete(operationId);
+    });
+
+    const now = Date.now();
+    operations.forEach((operation, operationId) => {
+      let row = this.operationRows.get(operationId);
+      if (!row) {
+        row = this._element('tr', '');
+        row.append(
+          this._element('td', 'color: #555;', operationId),
+          this._element('td', 'color: #61dafb; max-width: 400px; overflow: hidden; text-overflow: ellipsis;', `${operation.method} ${operation.path}`),
+          this._element('td', ''),
+          this._element('td', ''),
+          this._element('td', '')
+        );
+        const cancelButton = this._element('button', '', '取消');
+        cancelButton.className = 'gp-control';
+        cancelButton.addEventListener('click', () => this.proxySystem.cancelFromPanel(operationId));
+        const actionCell = this._element('td', '');
+        actionCell.appendChild(cancelButton);
+        row.appendChild(actionCell);
+        this.operationsBody.appendChild(row);
+        this.operationRows.set(operationId, row);
+      }
+      const cells = row.children;
+      cells[2].textContent = `${((now - operation.startedAt) / 1000).toFixed(1)}s`;
+      cells[3].textContent = this._formatBytes(operation.bytes || 0);
+      cells[4].textContent = String(operation.attempt);
+    });
+  },
+
+  _renderCounters() {
+    const { stats, requestProcessor } = this.proxySystem;
+    const latency = this.proxySystem.connectionManager.latencyMs;
+    this.counters.textContent = `进行中 ${requestProcessor.activeOperations.size} | 总计 ${stats.total} | 完成 ${stats.completed} | 错误 ${stats.errors} | 取消 ${stats.cancelled} | 拒绝 ${stats.rejected}`
+      + (latency !== null ? ` | 延迟 ${latency}ms` : '');
+  },
+
+  _formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
   }
 };
 
 // ==========================================
-// 以下逻辑代码保持完全不变
+// 代理配置 (默认值 < 运行脚本前设置的 window.G_PROXY_CONFIG，Node 中由 g-node.js 传入)
+// token 需与 g-server.js 的 WS_TOKEN 一致
 // ==========================================
+const PROXY_CONFIG_DEFAULTS = {
+  endpoint: 'ws://127.0.0.1:9998',
+  label: '',                      // 为空时随机生成
+  account: '',                    // 当前登录的账号 (如邮箱)，服务端按账号固定会话并隔离配额；为空时按标签区分
+  token: '',
+  reconnectDelay: 5000,           // 断线重连间隔
+  shutdownReconnectDelay: 30000,  // 服务端计划内关闭 (重启 / 发布) 后，等待多久再开始重连
+  maxReconnectAttempts: Infinity,
+  // 上游重试策略 (服务端可通过请求规范中的 retry_policy 按请求覆盖)
+  retryPolicy: {
+    maxAttempts: 15,              // 最多尝试次数 (含首次)
+    baseDelayMs: 1000,            // 指数退避的基础间隔
+    maxDelayMs: 30000,            // 单次等待上限
+    maxTotalMs: 120000            // 重试总时长上限
+  },
+  upstreamBaseUrl: 'https://generativelanguage.googleapis.com', // 上游地址，可指向本地的 Gemini 替身服务
+  apiKey: ''                      // 上游 API Key (x-goog-api-key)，没有浏览器登录会话时使用
+};
+
+// 协议版本与构建信息，连接建立后通过 hello 告知服务端，版本不兼容时服务端会拒绝连接
+const PROXY_PROTOCOL = {
+  version: 2,
+  features: ['cancel', 'binary_frames', 'pause', 'compression'],
+  build: { script: 'g-browser.js', version: '1.1.0' }
+};
+
+function resolveProxyConfig(overrides = {}) {
+  const config = { ...PROXY_CONFIG_DEFAULTS, ...overrides };
+  // 兼容旧配置中的 targetDomain
+  if (overrides.targetDomain && !overrides.upstreamBaseUrl) config.upstreamBaseUrl = `https://${overrides.targetDomain}`;
+  delete config.targetDomain;
+  config.upstreamBaseUrl = String(config.upstreamBaseUrl).replace(/\/+$/, '');
+  const problems = [];
+  if (!/^wss?:\/\//.test(config.endpoint)) problems.push('endpoint 必须以 ws:// 或 wss:// 开头');
+  if (!/^https?:\/\//.test(config.upstreamBaseUrl)) problems.push('upstreamBaseUrl 必须以 http:// 或 https:// 开头');
+  ['apiKey', 'account'].forEach(key => {
+    if (typeof config[key] !== 'string') problems.push(`${key} 必须是字符串`);
+  });
+  ['reconnectDelay', 'shutdownReconnectDelay'].forEach(key => {
+    if (!(typeof config[key] === 'number' && config[key] >= 0)) problems.push(`${key} 必须是非负数`);
+  });
+  config.retryPolicy = { ...PROXY_CONFIG_DEFAULTS.retryPolicy, ...config.retryPolicy };
+  ['baseDelayMs', 'maxDelayMs', 'maxTotalMs'].forEach(key => {
+    if (!(typeof config.retryPolicy[key] === 'number' && config.retryPolicy[key] >= 0)) problems.push(`retryPolicy.${key} 必须是非负数`);
+  });
+  if (!(Number.isInteger(config.retryPolicy.maxAttempts) && config.retryPolicy.maxAttempts >= 1)) {
+    problems.push('retryPolicy.maxAttempts 必须是正整数');
+  }
+  if (problems.length > 0) {
+    throw new Error(`代理配置无效: ${problems.join('; ')}`);
+  }
+  return config;
+}
+
+// 解析 --name value / --name=value / --flag 形式的命令行参数 (g-server.js 与 g-node.js 共用)
+// toKey 把参数名转换为配置键，未知参数由它抛出错误；值保持字符串，由调用方按类型转换
+function parseCliArgs(argv, toKey) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      throw new Error(`无法识别的命令行参数: ${arg}`);
+    }
+    let [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (value === undefined) {
+      const next = argv[i + 1];
+      if (next !== undefined && !next.startsWith('--')) {
+        value = next;
+        i++;
+      } else {
+        value = 'true';
+      }
+    }
+    options[toKey(name)] = value;
+  }
+  return options;
+}
+
+const PROXY_CONFIG = resolveProxyConfig(globalThis.G_PROXY_CONFIG);
 
 // WebSocket连接管理器
 class ConnectionManager extends EventTarget {
-  constructor(endpoint = 'ws://127.0.0.1:9998') {
+  constructor(config = PROXY_CONFIG) {
     super();
-    this.endpoint = endpoint;
+    this.endpoint = config.endpoint;
+    this.label = config.label || `tab-${Math.random().toString(36).slice(2, 6)}`; // 在服务端连接池中显示的标签
+    this.account = config.account;
+    this.token = config.token; // 握手密钥
     this.socket = null;
     this.isConnected = false;
-    this.reconnectDelay = 5000;
-    this.maxReconnectAttempts = Infinity;
+    this.reconnectDelay = config.reconnectDelay;
+    this.shutdownReconnectDelay = config.shutdownReconnectDelay;
+    this.nextReconnectDelay = null; // 仅作用于下一次重连
+    this.maxReconnectAttempts = config.maxReconnectAttempts;
     this.reconnectAttempts = 0;
+    this.session = null;       // 服务端 hello 回执 (client_id / features / 心跳间隔)
+    this.lastSeenAt = 0;       // 最近一次收到服务端消息的时间
+    this.latencyMs = null;     // 最近一次 ping 的往返延迟
+    this.heartbeatTimer = null;
+    this.stopReconnect = false;
   }
   
   async establish() {
@@ -154,37 +435,125 @@ class ConnectionManager extends EventTarget {
       return Promise.resolve();
     }
     
-    Logger.info('[ConnectionManager] 正在建立连接:', this.endpoint);
+    Logger.info('[ConnectionManager] 正在建立连接:', this.endpoint, `(标签: ${this.label}${this.account ? `, 账号: ${this.account}` : ''})`);
     
     return new Promise((resolve, reject) => {
-      this.socket = new WebSocket(this.endpoint);
+      const url = new URL(this.endpoint);
+      url.searchParams.set('label', this.label);
+      if (this.token) url.searchParams.set('token', this.token);
+      const socket = new WebSocket(url.toString());
+      socket.binaryType = 'arraybuffer'; // 分片传输的二进制帧
+      this.socket = socket;
       
-      this.socket.addEventListener('open', () => {
+      // 心跳超时主动断开后，旧连接迟到的事件一律忽略
+      socket.addEventListener('open', () => {
+        if (socket !== this.socket) return;
         this.isConnected = true;
         this.reconnectAttempts = 0;
-        Logger.success('[ConnectionManager] 连接建立成功');
+        this.lastSeenAt = Date.now();
+        Logger.success('[ConnectionManager] 连接建立成功，发送 hello');
+        this.transmit({
+          event_type: 'hello',
+          protocol_version: PROXY_PROTOCOL.version,
+          label: this.label,
+          account: this.account || undefined,
+          // 压缩由 WebSocket 握手决定，只有协商出 permessage-deflate 时才声明 compression
+          features: PROXY_PROTOCOL.features.filter(feature => feature !== 'compression' || String(socket.extensions || '').includes('permessage-deflate')),
+          build: { userAgent: globalThis.navigator ? navigator.userAgent : 'unknown', ...PROXY_PROTOCOL.build }
+        });
         this.dispatchEvent(new CustomEvent('connected'));
         resolve();
       });
       
-      this.socket.addEventListener('close', () => {
-        this.isConnected = false;
-        Logger.warn('[ConnectionManager] 连接断开，准备重连...');
-        this.dispatchEvent(new CustomEvent('disconnected'));
-        this._scheduleReconnect();
+      socket.addEventListener('close', (event) => {
+        if (socket !== this.socket) return;
+        // 4001: 协议版本不兼容，重连也不会成功
+        if (event.code === 4001) {
+          Logger.error(`[ConnectionManager] 服务端拒绝连接: ${event.reason || '协议版本不兼容'}，请更新 g-browser.js`);
+          this.stopReconnect = true;
+        }
+        // 4002: 服务端计划内关闭，等它重启完成再重连，而不是按崩溃处理立即重试
+        if (event.code === 4002) {
+          Logger.warn(`[ConnectionManager] 服务端正在关闭 (计划内)，${this.shutdownReconnectDelay / 1000} 秒后再尝试重连`);
+          this.nextReconnectDelay = this.shutdownReconnectDelay;
+        }
+        this._handleClosed();
       });
       
-      this.socket.addEventListener('error', (error) => {
+      socket.addEventListener('error', (error) => {
+        if (socket !== this.socket) return;
         Logger.error('[ConnectionManager] 连接发生错误');
         this.dispatchEvent(new CustomEvent('error', { detail: error }));
         if (!this.isConnected) reject(error);
       });
       
-      this.socket.addEventListener('message', (event) => {
+      socket.addEventListener('message', (event) => {
+        if (socket !== this.socket) return;
+        this.lastSeenAt = Date.now();
+        if (typeof event.data === 'string' && this._handleControlMessage(event.data)) return;
         this.dispatchEvent(new CustomEvent('message', { detail: event.data }));
       });
     });
   }
+
+  // hello / ping / pong 在连接层处理，不交给上层
+  _handleControlMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      return false;
+    }
+
+    switch (message.event_type) {
+      case 'hello':
+        this.session = {
+          clientId: message.client_id,
+          features: message.features || [],
+          heartbeatIntervalMs: message.heartbeat_interval_ms,
+          heartbeatTimeoutMs: message.heartbeat_timeout_ms
+        };
+        Logger.success(`[ConnectionManager] 握手完成: ${message.client_id} (协议 v${message.protocol_version}，功能: ${this.session.features.join(', ') || '无'})`);
+        this._startHeartbeat();
+        this.dispatchEvent(new CustomEvent('handshake', { detail: this.session }));
+        return true;
+      case 'ping':
+        this.transmit({ event_type: 'pong', ts: message.ts });
+        return true;
+      case 'pong':
+        this.latencyMs = Date.now() - message.ts;
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  // 定时 ping 服务端；超过超时时间没有收到任何消息则判定连接已失效
+  _startHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    const { heartbeatIntervalMs, heartbeatTimeoutMs } = this.session;
+    if (!heartbeatIntervalMs) return;
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastSeenAt > heartbeatTimeoutMs) {
+        Logger.error(`[ConnectionManager] ${Math.round((Date.now() - this.lastSeenAt) / 1000)} 秒未收到服务端消息，断开重连`);
+        const socket = this.socket;
+        this.socket = null;
+        socket.close(4000, 'heartbeat timeout');
+        this._handleClosed();
+        return;
+      }
+      this.transmit({ event_type: 'ping', ts: Date.now() });
+    }, heartbeatIntervalMs);
+  }
+
+  _handleClosed() {
+    clearInterval(this.heartbeatTimer);
+    this.isConnected = false;
+    this.session = null;
+    Logger.warn(this.stopReconnect ? '[ConnectionManager] 连接已关闭' : '[ConnectionManager] 连接断开，准备重连...');
+    this.dispatchEvent(new CustomEvent('disconnected'));
+    this._scheduleReconnect();
+  }
   
   transmit(data) {
     if (!this.isConnected || !this.socket) {
@@ -195,41 +564,121 @@ class ConnectionManager extends EventTarget {
     this.socket.send(JSON.stringify(data));
     return true;
   }
+
+  transmitBinary(frame) {
+    if (!this.isConnected || !this.socket) {
+      Logger.error('[ConnectionManager] 无法发送数据：连接未建立');
+      return false;
+    }
+
+    this.socket.send(frame);
+    return true;
+  }
+  
+  // 主动断开且不再重连
+  disconnect() {
+    this.stopReconnect = true;
+    clearInterval(this.heartbeatTimer);
+    if (this.socket) this.socket.close(1000, 'client shutdown');
+  }
   
   _scheduleReconnect() {
+    if (this.stopReconnect) return;
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
       Logger.error('[ConnectionManager] 达到最大重连次数，放弃重连');
       return;
     }
     
     this.reconnectAttempts++;
+    const delay = this.nextReconnectDelay ?? this.reconnectDelay;
+    this.nextReconnectDelay = null;
     setTimeout(() => {
       Logger.warn(`[ConnectionManager] 重连尝试 ${this.reconnectAttempts}...`);
       this.establish().catch(() => {});
-    }, this.reconnectDelay);
+    }, delay);
   }
 }
 
+// fetch Headers -> 普通对象，便于通过 WebSocket 传输
+function headersToObject(headers) {
+  const headerMap = {};
+  headers.forEach((value, key) => {
+    headerMap[key] = value;
+  });
+  return headerMap;
+}
+
+// 二进制帧：[4 字节头长度 (大端)][JSON 头][数据]，头中带序号和 CRC32 用于完整性校验 (g-server.js 共用此实现)
+const BinaryFrame = {
+  CRC_TABLE: (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })(),
+
+  crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this.CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  },
+
+  encode(header, payload) {
+    const headerBytes = new TextEncoder().encode(JSON.stringify({ ...header, crc32: this.crc32(payload) }));
+    const frame = new Uint8Array(4 + headerBytes.length + payload.length);
+    new DataView(frame.buffer).setUint32(0, headerBytes.length);
+    frame.set(headerBytes, 4);
+    frame.set(payload, 4 + headerBytes.length);
+    return frame;
+  },
+
+  // 接受 ArrayBuffer (浏览器) 或 Buffer (Node 服务端)；valid 表示 CRC 是否匹配，由调用方决定如何处理损坏的分片
+  decode(buffer) {
+    const bytes = ArrayBuffer.isView(buffer) ? buffer : new Uint8Array(buffer);
+    const headerLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0);
+    const header = JSON.parse(new TextDecoder().decode(bytes.subarray(4, 4 + headerLength)));
+    const payload = bytes.subarray(4 + headerLength);
+    return { header, payload, valid: this.crc32(payload) === header.crc32 };
+  }
+};
+
 // HTTP请求处理器
 class RequestProcessor {
-  constructor() {
+  constructor(config = PROXY_CONFIG) {
     this.activeOperations = new Map();
-    this.targetDomain = 'generativelanguage.googleapis.com';
+    this.upstreamBaseUrl = config.upstreamBaseUrl;
+    this.apiKey = config.apiKey;
+    this.retryPolicy = config.retryPolicy;
   }
   
   async execute(requestSpec, operationId) {
     Logger.info(`[RequestProcessor] 执行请求: ${requestSpec.method} ${requestSpec.path} (ID: ${operationId})`);
 
     const abortController = new AbortController();
-    this.activeOperations.set(operationId, abortController);
+    // 操作状态：attempt 会随响应头回传给服务端用于统计重试次数
+    const operation = {
+      controller: abortController,
+      method: requestSpec.method,
+      path: requestSpec.path,
+      startedAt: Date.now(),
+      attempt: 0,
+      bytes: 0
+    };
+    this.activeOperations.set(operationId, operation);
 
     try {
       const requestUrl = this._constructUrl(requestSpec);
       const requestConfig = this._buildRequestConfig(requestSpec, abortController.signal);
 
       let lastError = null;
-      const maxRetries = 15;
-      const retryDelay = 1000;
+      const policy = { ...this.retryPolicy, ...(requestSpec.retry_policy || {}) };
+      const maxRetries = policy.maxAttempts;
+      const deadline = operation.startedAt + policy.maxTotalMs;
 
       for (let attempt = 1; attempt <= maxRetries; attempt++) {
         if (abortController.signal.aborted) {
@@ -237,6 +686,7 @@ class RequestProcessor {
           throw new Error('Operation cancelled');
         }
 
+        operation.attempt = attempt;
         try {
           if (attempt > 1) Logger.info(`[RequestProcessor] 尝试 ${attempt}/${maxRetries} (ID: ${operationId})`);
           
@@ -249,7 +699,12 @@ class RequestProcessor {
             } catch (e) {
               Logger.warn(`[RequestProcessor] 无法读取错误响应体 (ID: ${operationId})`);
             }
-            throw new Error(`HTTP ${response.status}: ${response.statusText}. Body: ${errorBody}`);
+            const httpError = new Error(`HTTP ${response.status}: ${response.statusText}. Body: ${errorBody}`);
+            httpError.status = response.status;
+            httpError.headers = headersToObject(response.headers);
+            httpError.body = errorBody;
+            httpError.retryAfterMs = this._parseRetryAfter(response.headers.get('retry-after'), errorBody);
+            throw httpError;
           }
           
           Logger.success(`[RequestProcessor] 请求成功 (ID: ${operationId}, 尝试: ${attempt})`);
@@ -265,11 +720,23 @@ class RequestProcessor {
           
           Logger.warn(`[RequestProcessor] 尝试 ${attempt} 失败: ${error.message}`);
 
-          if (attempt < maxRetries) {
-            await new Promise(resolve => setTimeout(resolve, retryDelay));
-          } else {
+          // 除 408 / 429 外的 4xx 和请求本身有问题的 fetch 错误重试也不会成功
+          if (!this._isRetryable(error, policy)) {
+            Logger.warn(`[RequestProcessor] ${error.status ? `HTTP ${error.status}` : '该错误'}不可重试 (ID: ${operationId})`);
+            break;
+          }
+          if (attempt >= maxRetries) {
             Logger.error(`[RequestProcessor] 达到最大重试次数 (${maxRetries}) (ID: ${operationId})`);
+            break;
+          }
+
+          const delay = this._retryDelay(policy, attempt, error);
+          if (Date.now() + delay > deadline) {
+            Logger.error(`[RequestProcessor] 超过重试总时长 ${policy.maxTotalMs}ms，放弃重试 (ID: ${operationId})`);
+            break;
           }
+          Logger.info(`[RequestProcessor] ${Math.round(delay)}ms 后重试 (ID: ${operationId})`);
+          await this._sleep(delay, abortController.signal);
         }
       }
       
@@ -277,27 +744,96 @@ class RequestProcessor {
 
     } catch (error) {
       Logger.error(`[RequestProcessor] 请求执行最终失败 (ID: ${operationId}): ${error.message}`);
-      throw error; 
-    } finally {
       this.activeOperations.delete(operationId);
+      error.attempts = operation.attempt;
+      throw error; 
     }
   }
   
+  getOperation(operationId) {
+    return this.activeOperations.get(operationId);
+  }
+  
+  // 流读取结束后释放操作 (成功时 AbortController 要保留到流结束，才能取消流)
+  completeOperation(operationId) {
+    this.activeOperations.delete(operationId);
+  }
+  
   cancelOperation(operationId) {
-    const controller = this.activeOperations.get(operationId);
-    if (controller) {
-      controller.abort();
+    const operation = this.activeOperations.get(operationId);
+    if (operation) {
+      operation.controller.abort();
       Logger.warn(`[RequestProcessor] 主动取消操作 (ID: ${operationId})`);
     }
   }
   
   cancelAllOperations() {
-    this.activeOperations.forEach((controller, id) => {
-      controller.abort();
+    this.activeOperations.forEach((operation, id) => {
+      operation.controller.abort();
       Logger.warn(`[RequestProcessor] 批量取消操作 (ID: ${id})`);
     });
   }
   
+  // 网络错误、408、429 和 5xx 可以重试；服务端有其他账号可用时会关闭 429 重试 (retryQuotaErrors: false)
+  _isRetryable(error, policy = {}) {
+    if (!error.status) return this._isNetworkError(error);
+    if (error.status === 429 && policy.retryQuotaErrors === false) return false;
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  
+  // fetch 的失败只有网络层问题值得重试：浏览器只给出笼统的 TypeError ("Failed to fetch" 等)，
+  // Node (undici) 在 cause 中带有系统错误码 (ECONNREFUSED 等) 或 UND_ERR_SOCKET 之类的连接错误；
+  // 非法请求头等输入错误 (UND_ERR_INVALID_ARG / UND_ERR_NOT_SUPPORTED、Headers 校验失败) 每次都会失败
+  _isNetworkError(error) {
+    const cause = error.cause;
+    if (cause && cause.code) {
+      return /^E[A-Z_]+$/.test(cause.code) ||
+        ['UND_ERR_SOCKET', 'UND_ERR_CLOSED', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'].includes(cause.code);
+    }
+    return error.name === 'TypeError' && /failed to fetch|fetch failed|networkerror|load failed|network connection was lost/i.test(error.message);
+  }
+  
+  // 优先使用上游给出的等待时间，否则指数退避 + 抖动
+  _retryDelay(policy, attempt, error) {
+    if (error.retryAfterMs !== undefined) return error.retryAfterMs;
+    const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return exponential / 2 + Math.random() * exponential / 2;
+  }
+  
+  // Retry-After 头 (秒数或 HTTP 日期)，或 Google 错误体中的 RetryInfo.retryDelay ("12.5s")
+  _parseRetryAfter(headerValue, errorBody) {
+    if (headerValue) {
+      const seconds = Number(headerValue);
+      if (!Number.isNaN(seconds)) return seconds * 1000;
+      const date = Date.parse(headerValue);
+      if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+    }
+    try {
+      const parsed = JSON.parse(errorBody);
+      const error = Array.isArray(parsed) ? parsed[0].error : parsed.error;
+      const retryInfo = (error.details || []).find(detail =>
+        String(detail['@type'] || '').endsWith('google.rpc.RetryInfo'));
+      const match = retryInfo && /^([\d.]+)s$/.exec(retryInfo.retryDelay);
+      if (match) return Number(match[1]) * 1000;
+    } catch (e) {
+      // 非 JSON 错误体
+    }
+    return undefined;
+  }
+  
+  // 可被取消的等待
+  _sleep(ms, signal) {
+    return new Promise(resolve => {
+      const timer = setTimeout(done, ms);
+      function done() {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', done);
+        resolve();
+      }
+      signal.addEventListener('abort', done);
+    });
+  }
+  
   _constructUrl(requestSpec) {
     const pathSegment = requestSpec.path.startsWith('/') ? 
       requestSpec.path.substring(1) : requestSpec.path;
@@ -305,7 +841,7 @@ class RequestProcessor {
     const queryParams = new URLSearchParams(requestSpec.query_params);
     const queryString = queryParams.toString();
     
-    return `https://${this.targetDomain}/${pathSegment}${queryString ? '?' + queryString : ''}`;
+    return `${this.upstreamBaseUrl}/${pathSegment}${queryString ? '?' + queryString : ''}`;
   }
   
   _buildRequestConfig(requestSpec, signal) {
@@ -314,6 +850,7 @@ class RequestProcessor {
       headers: this._sanitizeHeaders(requestSpec.headers),
       signal
     };
+    if (this.apiKey) config.headers['x-goog-api-key'] = this.apiKey;
     
     if (['POST', 'PUT', 'PATCH'].includes(requestSpec.method) && requestSpec.body) {
       config.body = requestSpec.body;
@@ -322,16 +859,17 @@ class RequestProcessor {
     return config;
   }
   
+  // 逐跳头只对调用方到服务端的那一段连接有效，Node 的 fetch 遇到 expect / keep-alive /
+  // transfer-encoding / upgrade 会直接失败 (curl 发送大请求体时默认带 Expect: 100-continue)
   _sanitizeHeaders(headers) {
-    const sanitized = { ...headers };
     const forbiddenHeaders = [
       'host', 'connection', 'content-length', 'origin',
       'referer', 'user-agent', 'sec-fetch-mode',
-      'sec-fetch-site', 'sec-fetch-dest'
+      'sec-fetch-site', 'sec-fetch-dest',
+      'expect', 'keep-alive', 'transfer-encoding', 'upgrade', 'te', 'proxy-connection'
     ];
-    
-    forbiddenHeaders.forEach(header => delete sanitized[header]);
-    return sanitized;
+    return Object.fromEntries(Object.entries(headers || {})
+      .filter(([header]) => !forbiddenHeaders.includes(header.toLowerCase())));
   }
 }
 
@@ -341,13 +879,14 @@ class StreamHandler {
     this.communicator = communicator;
   }
   
-  async processStream(response, operationId) {
+  async processStream(response, operationId, operation = {}) {
     Logger.info(`[StreamHandler] 开始处理流式响应 (ID: ${operationId})`);
     
-    this._transmitHeaders(response, operationId);
+    this._transmitHeaders(response, operationId, operation.attempt);
     
     const reader = response.body.getReader();
     const textDecoder = new TextDecoder();
+    let seq = 0;
     
     try {
       while (true) {
@@ -359,27 +898,33 @@ class StreamHandler {
           break;
         }
         
+        operation.bytes = (operation.bytes || 0) + value.byteLength;
+        // 服务端支持时直接发送原始字节，省去解码和 JSON 转义
+        if (operation.binaryFrames) {
+          this._transmitBinaryChunk(value, operationId, seq++);
+          continue;
+        }
         const textChunk = textDecoder.decode(value, { stream: true });
         this._transmitChunk(textChunk, operationId);
       }
     } catch (error) {
+      if (error.name === 'AbortError') {
+        Logger.warn(`[StreamHandler] 流读取已取消 (ID: ${operationId})`);
+        throw error;
+      }
       Logger.error(`[StreamHandler] 流处理中断 (ID: ${operationId}): ${error.message}`);
       this._sendStreamError(error, operationId); 
       throw error; 
     }
   }
   
-  _transmitHeaders(response, operationId) {
-    const headerMap = {};
-    response.headers.forEach((value, key) => {
-      headerMap[key] = value;
-    });
-    
+  _transmitHeaders(response, operationId, attempts) {
     const headerMessage = {
       request_id: operationId,
       event_type: 'response_headers',
       status: response.status,
-      headers: headerMap
+      headers: headersToObject(response.headers),
+      attempts
     };
     
     this.communicator.transmit(headerMessage);
@@ -395,6 +940,10 @@ class StreamHandler {
     this.communicator.transmit(chunkMessage);
   }
   
+  _transmitBinaryChunk(bytes, operationId, seq) {
+    this.communicator.transmitBinary(BinaryFrame.encode({ request_id: operationId, event_type: 'chunk', seq }, bytes));
+  }
+  
   _transmitStreamEnd(operationId) {
     const endMessage = {
       request_id: operationId,
@@ -408,7 +957,8 @@ class StreamHandler {
     const errorMessage = {
       request_id: operationId,
       event_type: 'error', 
-      status: 500, 
+      status: 502, 
+      reason: 'STREAM_INTERRUPTED',
       message: `流处理错误 (ID: ${operationId}): ${error.message || '未知流错误'}`
     };
     this.communicator.transmit(errorMessage);
@@ -418,23 +968,21 @@ class StreamHandler {
 
 // 主代理系统
 class ProxySystem extends EventTarget {
-  constructor(websocketEndpoint) {
+  constructor(config = PROXY_CONFIG) {
     super();
-    this.connectionManager = new ConnectionManager(websocketEndpoint);
-    this.requestProcessor = new RequestProcessor();
+    this.config = config;
+    this.connectionManager = new ConnectionManager(config);
+    this.requestProcessor = new RequestProcessor(config);
     this.streamHandler = new StreamHandler(this.connectionManager);
-    this.statusDot = null; // 状态灯
+    this.incomingBodies = new Map(); // 分片传输中的请求体
+    this.paused = false;             // 暂停时拒绝新请求，进行中的请求继续
+    this.stats = { total: 0, completed: 0, errors: 0, cancelled: 0, rejected: 0 };
     
     this._setupEventHandlers();
   }
   
   async initialize() {
     Logger.system('[ProxySystem] 系统初始化中...');
-    
-    // [新增] 初始化右上角状态灯
-    this.statusDot = document.createElement('div');
-    this.statusDot.style.cssText = "position:fixed; top:15px; right:15px; width:12px; height:12px; border-radius:50%; background:gray; z-index:9999; border: 2px solid #333; transition: background 0.2s;";
-    document.body.appendChild(this.statusDot);
 
     try {
       await this.connectionManager.establish();
@@ -448,27 +996,71 @@ class ProxySystem extends EventTarget {
   }
   
   _setupEventHandlers() {
+    // 连接状态通过 status 事件通知界面 (activity / connected / disconnected)
     this.connectionManager.addEventListener('message', (event) => {
-      // 收到消息闪烁黄色
-      if (this.statusDot) {
-          this.statusDot.style.background = '#f1c40f';
-          setTimeout(() => this.statusDot.style.background = '#2ecc71', 100);
-      }
+      this._emitStatus('activity');
       this._handleIncomingMessage(event.detail);
     });
     
     this.connectionManager.addEventListener('connected', () => {
-        if (this.statusDot) this.statusDot.style.background = '#2ecc71'; // 绿
+      this._emitStatus('connected');
+    });
+
+    // 重连后重新告知服务端暂停状态
+    this.connectionManager.addEventListener('handshake', () => {
+      if (this.paused) this._notifyPause();
     });
 
     this.connectionManager.addEventListener('disconnected', () => {
-      if (this.statusDot) this.statusDot.style.background = '#ff6b6b'; // 红
+      this._emitStatus('disconnected');
       Logger.warn('[ProxySystem] WebSocket 断开，取消所有进行中的请求');
       this.requestProcessor.cancelAllOperations();
+      [...this.incomingBodies.keys()].forEach(operationId => this._discardBody(operationId));
     });
   }
   
+  _emitStatus(status) {
+    this.dispatchEvent(new CustomEvent('status', { detail: status }));
+  }
+  
+  // 暂停 / 恢复接收新请求；服务端支持 pause 功能时同时通知它不再向本连接分发
+  setPaused(paused) {
+    if (this.paused === paused) return;
+    this.paused = paused;
+    Logger.system(`[ProxySystem] ${paused ? '已暂停接收新请求' : '已恢复接收请求'}`);
+    this._notifyPause();
+    this._emitStatus(paused ? 'paused' : 'resumed');
+  }
+
+  _notifyPause() {
+    const session = this.connectionManager.session;
+    if (session && session.features.includes('pause')) {
+      this.connectionManager.transmit({ event_type: 'pause', paused: this.paused });
+    }
+  }
+
+  // 控制面板手动取消：中止上游请求，并告知服务端该请求已结束
+  cancelFromPanel(operationId) {
+    if (!this.requestProcessor.getOperation(operationId)) return;
+    Logger.warn(`[ProxySystem] 在控制面板中取消请求 (ID: ${operationId})`);
+    this.requestProcessor.cancelOperation(operationId);
+    const error = new Error('已在浏览器控制面板中手动取消');
+    error.status = 499;
+    this._sendErrorResponse(error, operationId, '请求已取消', 'OPERATOR_CANCELLED');
+  }
+  
+  // 停止接收新请求，中止进行中的请求
+  shutdown() {
+    Logger.system('[ProxySystem] 正在关闭...');
+    this.connectionManager.disconnect();
+    this.requestProcessor.cancelAllOperations();
+  }
+  
   async _handleIncomingMessage(messageData) {
+    if (messageData instanceof ArrayBuffer) {
+      return this._handleBodyFrame(messageData);
+    }
+
     let requestSpec; 
     try {
       requestSpec = JSON.parse(messageData);
@@ -476,6 +1068,39 @@ class ProxySystem extends EventTarget {
         Logger.warn('[ProxySystem] 收到无效请求: 格式错误或缺少ID');
         return;
       }
+      
+      // 服务端通知取消 (HTTP 客户端已断开)
+      if (requestSpec.event_type === 'cancel') {
+        Logger.warn(`[ProxySystem] 收到取消指令 (ID: ${requestSpec.request_id})`);
+        this._discardBody(requestSpec.request_id);
+        this.requestProcessor.cancelOperation(requestSpec.request_id);
+        return;
+      }
+
+      // 暂停期间拒绝新请求，服务端会把它交给其他连接
+      if (this.paused) {
+        this.stats.rejected++;
+        Logger.warn(`[ProxySystem] 已暂停，拒绝请求 (ID: ${requestSpec.request_id})`);
+        const error = new Error('浏览器客户端已暂停接收新请求');
+        error.status = 503;
+        this._sendErrorResponse(error, requestSpec.request_id, '请求被拒绝', 'CLIENT_PAUSED');
+        return;
+      }
+
+      // 大请求体随后以二进制分片到达，收齐后再执行
+      if (requestSpec.body_transfer) {
+        Logger.info(`[ProxySystem] 等待请求体分片: ${requestSpec.body_transfer.chunks} 片，${requestSpec.body_transfer.bytes} 字节 (ID: ${requestSpec.request_id})`);
+        this.incomingBodies.set(requestSpec.request_id, {
+          spec: requestSpec,
+          chunks: [],
+          received: 0,
+          timer: setTimeout(() => {
+            this._discardBody(requestSpec.request_id);
+            this._sendErrorResponse(new Error('请求体分片接收超时'), requestSpec.request_id, '分片传输错误', 'BODY_TRANSFER_FAILED');
+          }, 60000)
+        });
+        return;
+      }
       Logger.info(`[ProxySystem] 收到新请求: ${requestSpec.method} ${requestSpec.path} (ID: ${requestSpec.request_id})`);
       
       await this._processProxyRequest(requestSpec);
@@ -483,28 +1108,93 @@ class ProxySystem extends EventTarget {
       Logger.error('[ProxySystem] 消息解析异常:', error.message);
       const operationId = requestSpec ? requestSpec.request_id : null;
       if (operationId) {
-        this._sendErrorResponse(error, operationId, '消息解析错误');
+        this._sendErrorResponse(error, operationId, '消息解析错误', 'INVALID_REQUEST_SPEC');
       }
     }
   }
   
+  // 按序号拼接请求体分片，收齐后校验总长度与 CRC32
+  async _handleBodyFrame(buffer) {
+    let frame;
+    try {
+      frame = BinaryFrame.decode(buffer);
+    } catch (error) {
+      Logger.error('[ProxySystem] 二进制帧解析失败:', error.message);
+      return;
+    }
+    if (!frame.valid) {
+      Logger.error(`[ProxySystem] 分片 ${frame.header.seq} 校验失败 (ID: ${frame.header.request_id})`);
+      return;
+    }
+
+    const operationId = frame.header.request_id;
+    const transfer = this.incomingBodies.get(operationId);
+    if (!transfer) {
+      Logger.warn(`[ProxySystem] 收到未知请求的分片 (ID: ${operationId})`);
+      return;
+    }
+    if (frame.header.seq !== transfer.chunks.length) {
+      this._discardBody(operationId);
+      this._sendErrorResponse(new Error(`分片序号错误: 期望 ${transfer.chunks.length}，收到 ${frame.header.seq}`), operationId, '分片传输错误', 'BODY_TRANSFER_FAILED');
+      return;
+    }
+
+    transfer.chunks.push(frame.payload);
+    transfer.received += frame.payload.length;
+    const expected = transfer.spec.body_transfer;
+    if (transfer.chunks.length < expected.chunks) return;
+
+    this._discardBody(operationId);
+    const body = new Uint8Array(transfer.received);
+    let offset = 0;
+    transfer.chunks.forEach(chunk => {
+      body.set(chunk, offset);
+      offset += chunk.length;
+    });
+    if (body.length !== expected.bytes || BinaryFrame.crc32(body) !== expected.crc32) {
+      this._sendErrorResponse(new Error('请求体完整性校验失败'), operationId, '分片传输错误', 'BODY_TRANSFER_FAILED');
+      return;
+    }
+
+    const requestSpec = { ...transfer.spec, body: new TextDecoder().decode(body) };
+    delete requestSpec.body_transfer;
+    Logger.info(`[ProxySystem] 请求体接收完成，共 ${body.length} 字节 (ID: ${operationId})`);
+    await this._processProxyRequest(requestSpec);
+  }
+
+  _discardBody(operationId) {
+    const transfer = this.incomingBodies.get(operationId);
+    if (transfer) {
+      clearTimeout(transfer.timer);
+      this.incomingBodies.delete(operationId);
+    }
+  }
+  
   async _processProxyRequest(requestSpec) {
     const operationId = requestSpec.request_id;
+    this.stats.total++;
     
     try {
       const response = await this.requestProcessor.execute(requestSpec, operationId);
-      await this.streamHandler.processStream(response, operationId);
+      const operation = this.requestProcessor.getOperation(operationId);
+      if (operation) operation.binaryFrames = requestSpec.binary_frames === true;
+      await this.streamHandler.processStream(response, operationId, operation);
+      this.stats.completed++;
     } catch (error) {
-      if (error.name === 'AbortError') {
+      if (error.name === 'AbortError' || error.message === 'Operation cancelled') {
+        this.stats.cancelled++;
         Logger.warn(`[ProxySystem] 请求流程已中止 (ID: ${operationId})`);
       } else {
+        this.stats.errors++;
         Logger.error(`[ProxySystem] 请求处理失败 (ID: ${operationId}) - ${error.message}`);
         this._sendErrorResponse(error, operationId);
       }
+    } finally {
+      this.requestProcessor.completeOperation(operationId);
     }
   }
   
-  _sendErrorResponse(error, operationId, contextMessage = '代理系统错误') {
+  _sendErrorResponse(error, operationId, contextMessage = '代理系统错误', reason = 'UPSTREAM_FETCH_FAILED') {
     if (!operationId) {
       Logger.warn('[ProxySystem] 无法发送错误响应：缺少ID');
       return;
@@ -513,18 +1203,28 @@ class ProxySystem extends EventTarget {
     const errorMessage = {
       request_id: operationId,
       event_type: 'error',
-      status: error.status || 500,
-      message: `${contextMessage} (ID: ${operationId}): ${error.message || '未知错误'}`
+      status: error.status || (reason === 'UPSTREAM_FETCH_FAILED' ? 502 : 500),
+      message: `${contextMessage} (ID: ${operationId}): ${error.message || '未知错误'}`,
+      attempts: error.attempts
     };
+    // 上游返回了非 2xx：把真实的状态码、响应头和错误体带回服务端原样透传
+    if (error.body !== undefined) {
+      errorMessage.headers = error.headers;
+      errorMessage.body = error.body;
+    } else {
+      errorMessage.reason = reason;
+    }
     
     this.connectionManager.transmit(errorMessage);
     Logger.info(`[ProxySystem] 错误回执已发送 (ID: ${operationId})`);
   }
 }
 
-// 系统启动函数
+// 系统启动函数 (浏览器)
 async function initializeProxySystem() {
-  const proxySystem = new ProxySystem();
+  Logger.ui = TerminalUI;
+  const proxySystem = new ProxySystem(PROXY_CONFIG);
+  TerminalUI.attach(proxySystem);
   
   try {
     await proxySystem.initialize();
@@ -534,5 +1234,20 @@ async function initializeProxySystem() {
   }
 }
 
-// 启动系统
-initializeProxySystem();
\ No newline at end of file
+// 在浏览器中直接启动；作为 Node 模块加载时 (g-node.js) 只导出核心，不涉及 DOM
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    Logger,
+    PROXY_CONFIG_DEFAULTS,
+    PROXY_PROTOCOL,
+    resolveProxyConfig,
+    parseCliArgs,
+    ConnectionManager,
+    BinaryFrame,
+    RequestProcessor,
+    StreamHandler,
+    ProxySystem
+  };
+} else {
+  initializeProxySystem();
+}
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+
+// g-browser.js 代理核心的 Node 无头客户端：不依赖浏览器页面，直接用 fetch 请求上游
+// 用法: node g-node.js --endpoint ws://127.0.0.1:9998 --upstream-base-url http://127.0.0.1:8080 --api-key <key>
+// 每个选项也可以用环境变量 G_PROXY_<选项> 设置，如 G_PROXY_UPSTREAM_BASE_URL
+
+const WebSocket = require('ws');
+const { Logger, PROXY_CONFIG_DEFAULTS, PROXY_PROTOCOL, resolveProxyConfig, parseCliArgs, ProxySystem } = require('./g-browser.js');
+
+// Node 20 没有全局 WebSocket，使用 ws 的实现 (同样支持 addEventListener 与 binaryType)
+if (typeof globalThis.WebSocket === 'undefined') {
+  globalThis.WebSocket = WebSocket;
+}
+
+const ClientConfig = {
+  ENV_PREFIX: 'G_PROXY_',
+
+  // 默认值 < 环境变量 < 命令行参数，最终由 resolveProxyConfig 校验
+  load(argv = process.argv.slice(2), env = process.env) {
+    const options = {};
+    Object.keys(PROXY_CONFIG_DEFAULTS).forEach(key => {
+      const value = env[this.ENV_PREFIX + key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()];
+      if (value !== undefined && value !== '') options[key] = this.coerce(key, value);
+    });
+    Object.entries(this.parseArgs(argv)).forEach(([key, value]) => {
+      options[key] = this.coerce(key, value);
+    });
+    return resolveProxyConfig(options);
+  },
+
+  // --upstream-base-url http://127.0.0.1:8080 / --api-key=xxx
+  parseArgs(argv) {
+    return parseCliArgs(argv, name => {
+      const key = name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+      if (!(key in PROXY_CONFIG_DEFAULTS)) {
+        throw new Error(`未知的命令行参数: --${name} (可用: ${Object.keys(PROXY_CONFIG_DEFAULTS).join(', ')})`);
+      }
+      return key;
+    });
+  },
+
+  // 按默认值的类型转换字符串
+  coerce(key, value) {
+    const fallback = PROXY_CONFIG_DEFAULTS[key];
+    if (typeof fallback === 'number') return Number(value);
+    if (fallback && typeof fallback === 'object') {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        throw new Error(`${key} 必须是 JSON: ${e.message}`);
+      }
+    }
+    return value;
+  }
+};
+
+async function main() {
+  let config;
+  try {
+    config = ClientConfig.load();
+  } catch (error) {
+    Logger.error(error.message);
+    process.exit(1);
+  }
+
+  // hello 中的构建信息，便于在服务端连接池中区分浏览器与无头客户端
+  Object.assign(PROXY_PROTOCOL.build, { script: 'g-node.js', userAgent: `Node.js ${process.version}` });
+
+  const proxySystem = new ProxySystem(config);
+  Logger.system(`[g-node] 上游: ${config.upstreamBaseUrl}${config.apiKey ? ' (API Key 认证)' : ''}`);
+
+  // 中止进行中的请求并正常关闭连接，服务端会按断线处理这些请求
+  const stop = () => {
+    proxySystem.shutdown();
+    setTimeout(() => process.exit(0), 1000).unref();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  try {
+    await proxySystem.initialize();
+    Logger.system('无头代理客户端已启动');
+  } catch (error) {
+    Logger.error('首次连接失败，将自动重连:', error.message || '无法连接到服务端');
+  }
+}
+
+main();
@@ -6,463 +6,3886 @@
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { StringDecoder } = require('string_decoder');
+const { BinaryFrame, parseCliArgs } = require('./g-browser.js');
 
-// 配置
-const CONFIG = {
+// 配置 (默认值 < 配置文件 < 环境变量 < 命令行参数)
+const CONFIG_DEFAULTS = {
+  HTTP_HOST: '0.0.0.0',
   HTTP_PORT: 8889,
+  WS_HOST: '0.0.0.0',
   WS_PORT: 9998,
-  TARGET_DOMAIN: 'generativelanguage.googleapis.com'
+  TARGET_DOMAIN: 'generativelanguage.googleapis.com',
+  LOG_LEVEL: 'info',             // debug / info / warn / error
+  LOG_DIR: 'logs',               // JSONL 日志目录，为空时只输出到控制台
+  LOG_MAX_BYTES: 10 * 1024 * 1024, // 单个日志文件上限
+  LOG_MAX_FILES: 5,              // 每天最多保留的轮转文件数
+  LOG_PROMPTS: false,            // 是否在日志中记录请求/响应内容
+  REQUEST_TIMEOUT_MS: 600000,    // 等待浏览器响应头的超时
+  IDLE_TIMEOUT_MS: 300000,       // 流式传输中无数据的空闲超时
+  POOL_MAX_FAILURES: 3,          // 连续失败多少次后暂停分发
+  POOL_COOLDOWN_MS: 30000,       // 暂停分发的时长
+  // 多账号：浏览器在 hello 中上报账号 (未上报时按连接标签区分)，同一对话 / API Key 固定分发到同一账号
+  STICKY_SESSIONS: 'conversation', // conversation (x-proxy-session 头或对话开头) / apiKey / off
+  STICKY_TTL_MS: 30 * 60 * 1000, // 固定关系闲置多久后失效
+  ACCOUNT_QUOTA_COOLDOWN_MS: 60000, // 账号返回 429 但没有给出重置时间时，暂停向它分发该模型的时长
+  WS_FRAME_BYTES: 1024 * 1024,   // 请求体超过该大小时拆成二进制分片发送
+  WS_BINARY_RESPONSES: true,     // 允许浏览器用二进制帧回传响应数据
+  WS_COMPRESSION: false,         // 开启 permessage-deflate 压缩 (有些网络环境下压缩大包会导致连接断开，默认关闭)
+  HEARTBEAT_INTERVAL_MS: 15000,  // 双方发送 ping 的间隔
+  HEARTBEAT_TIMEOUT_MS: 45000,   // 超过该时间未收到对方任何消息即断开
+  STREAM_KEEPALIVE_MS: 15000,    // 流式响应超过该时间没有数据时发送 SSE 注释保活 (0 为关闭)
+  RECONNECT_GRACE_MS: 15000,     // 浏览器全部断开后等待重连的宽限期，期间请求排队而不是直接失败 (0 为关闭)
+  SHUTDOWN_DRAIN_MS: 30000,      // 收到 SIGINT / SIGTERM 后等待进行中的请求完成的最长时间，超时的请求会被取消
+  MAX_CONCURRENT_PER_CLIENT: 4,  // 每个浏览器连接同时处理的请求数，超出的请求进入队列
+  QUEUE_MAX_LENGTH: 100,         // 队列上限，排满后返回 429
+  QUEUE_MAX_WAIT_MS: 60000,      // 最长排队时间，超时返回 429
+  // 按 API Key 指定优先级 (high / normal / low)，x-proxy-priority 头优先，未指定时为 normal
+  QUEUE_KEY_PRIORITIES: {},
+  // 按 API Key 限流与每日 token 预算：{ "<key>": { rpm, dailyTokens } }，"*" 为默认值，0 或未设置表示不限制
+  RATE_LIMITS: {},
+  USAGE_FILE: 'data/usage.json', // 每日用量持久化文件，为空时只保存在内存中
+  // 响应缓存 (默认关闭)：非流式 countTokens / embedContent / 模型列表，以及 temperature 为 0 的 generateContent
+  CACHE_ENABLED: false,
+  CACHE_DIR: 'data/cache',
+  CACHE_MAX_ENTRIES: 1000,
+  CACHE_TTL_MS: 24 * 3600 * 1000,
+  // 录制 / 回放：record 把请求规范与浏览器返回的事件 (含时间) 写入 CASSETTE_DIR，replay 用录制内容应答匹配的请求，无需浏览器
+  CASSETTE_MODE: 'off',          // off / record / replay
+  CASSETTE_DIR: 'data/cassettes',
+  CASSETTE_TIMING: 'original',   // 回放节奏：original 按录制时的间隔，fast 全速
+  CASSETTE_STRICT: false,        // 回放时没有匹配的录制直接返回 404，否则照常转发给浏览器
+  // HTTP 调用方 API Key 列表，为空时不校验
+  API_KEYS: [],
+  // 管理员密钥：可以取消任意调用方的请求、清空响应缓存，同时也是有效的调用方密钥
+  ADMIN_API_KEYS: [],
+  // 浏览器 WebSocket 共享密钥，为空时不校验
+  WS_TOKEN: '',
+  // 允许连接 WebSocket 的页面来源 (无 Origin 的本地进程只校验密钥)
+  WS_ALLOWED_ORIGINS: ['https://aistudio.google.com'],
+  // 下发给浏览器的重试策略 (maxAttempts / baseDelayMs / maxDelayMs / maxTotalMs)，
+  // 为空时使用浏览器端默认值；profile 中的 retryPolicy 会覆盖这里的设置
+  RETRY_POLICY: {},
+  // 模型别名：请求路径 /models/{别名} 会被替换为实际模型
+  MODEL_ALIASES: {
+    default: 'gemini-2.5-flash',
+    fast: 'gemini-2.5-flash-lite',
+    'gpt-4o': 'gemini-2.5-pro'
+  },
+  // 降级链：{ "<模型或别名>": ["备用模型", ...] }，配额不足 (429) 或模型不存在 (404) 且尚未返回任何数据时依次尝试
+  MODEL_FALLBACKS: {},
+  // Prometheus 指标中按名称统计的模型 (别名与降级链中的模型自动包含)，其余模型统一记为 other
+  METRICS_MODELS: ['gemini-2.5-pro', 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-embedding-001', 'text-embedding-004'],
+  // 请求改写 profile：x-proxy-profile 头或 match 条件 (apiKeys / userAgent / header) 选择，未匹配时使用 default
+  PROFILES: {
+    default: {
+      transforms: [
+        'fixModelsPath',
+        { type: 'dropTools', onlyWithThinking: true },
+        { type: 'safetySettings', mode: 'default' }
+      ]
+    },
+    // 旧版行为：无条件移除 tools 并强制 BLOCK_NONE (把 rikkahub 的 API Key 填入 apiKeys 即可启用)
+    // streamFormat 指定流式响应格式 (sse / json)，未设置时按 alt=sse 或 Accept 头决定
+    rikkahub: {
+      match: { apiKeys: [] },
+      streamFormat: 'sse',
+      transforms: ['fixModelsPath', 'dropTools', { type: 'safetySettings', mode: 'force' }]
+    }
+  }
+};
+
+const CONFIG = { ...CONFIG_DEFAULTS };
+
+// 配置加载器
+const ConfigLoader = {
+  // 修改后需要重启才能生效的配置，其余配置支持热重载
+  STRUCTURAL_KEYS: ['HTTP_HOST', 'HTTP_PORT', 'WS_HOST', 'WS_PORT', 'TARGET_DOMAIN', 'WS_COMPRESSION'],
+  ENV_PREFIX: 'PROXY_',
+  LOG_LEVELS: ['debug', 'info', 'warn', 'error'],
+
+  configFile: null,
+
+  // 按层级合并出完整配置，校验失败时抛出错误
+  load(argv = process.argv.slice(2), env = process.env) {
+    const cliOptions = this.parseArgs(argv);
+    this.configFile = cliOptions.CONFIG || env.PROXY_CONFIG || null;
+    delete cliOptions.CONFIG;
+
+    // 环境变量和命令行参数在重载时保持不变，这里记下来
+    this.overrides = { env, cliOptions };
+    return this.compose();
+  },
+
+  compose() {
+    const fileOptions = this.configFile ? this.readFile(this.configFile) : {};
+    const config = {
+      ...CONFIG_DEFAULTS,
+      ...this.coerceAll(fileOptions, '配置文件'),
+      ...this.fromEnv(this.overrides.env),
+      ...this.coerceAll(this.overrides.cliOptions, '命令行参数')
+    };
+    this.validate(config);
+    return config;
+  },
+
+  // --http-port 8889 / --http-port=8889 / --config ./proxy.yaml
+  parseArgs(argv) {
+    return parseCliArgs(argv, name => name.toUpperCase().replace(/-/g, '_'));
+  },
+
+  readFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+
+    let parsed;
+    try {
+      if (ext === '.yaml' || ext === '.yml') {
+        parsed = require('yaml').parse(text);
+      } else {
+        parsed = JSON.parse(text);
+      }
+    } catch (e) {
+      throw new Error(`配置文件解析失败 (${file}): ${e.message}`);
+    }
+
+    if (parsed === null || parsed === undefined) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error(`配置文件顶层必须是对象: ${file}`);
+    }
+    return parsed;
+  },
+
+  fromEnv(env) {
+    const options = {};
+    Object.keys(CONFIG_DEFAULTS).forEach(key => {
+      const value = env[this.ENV_PREFIX + key];
+      if (value !== undefined && value !== '') {
+        options[key] = this.coerce(key, value, '环境变量');
+      }
+    });
+    return options;
+  },
+
+  coerceAll(options, source) {
+    const result = {};
+    Object.entries(options).forEach(([key, value]) => {
+      result[key] = this.coerce(key, value, source);
+    });
+    return result;
+  },
+
+  // 按默认值的类型转换字符串配置
+  coerce(key, value, source) {
+    if (!(key in CONFIG_DEFAULTS)) {
+      throw new Error(`${source}中存在未知配置项: ${key}`);
+    }
+    if (typeof value !== 'string') return value;
+
+    const defaultValue = CONFIG_DEFAULTS[key];
+    if (typeof defaultValue === 'number') return Number(value);
+    if (typeof defaultValue === 'boolean') return value === 'true' || value === '1';
+    if (Array.isArray(defaultValue)) {
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    if (defaultValue !== null && typeof defaultValue === 'object') {
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        throw new Error(`${source}中的 ${key} 必须是 JSON: ${e.message}`);
+      }
+    }
+    return value;
+  },
+
+  validate(config) {
+    const problems = [];
+    const isPort = value => Number.isInteger(value) && value > 0 && value < 65536;
+    const isPositive = value => Number.isFinite(value) && value > 0;
+
+    ['HTTP_PORT', 'WS_PORT'].forEach(key => {
+      if (!isPort(config[key])) problems.push(`${key} 必须是 1-65535 之间的整数`);
+    });
+    if (config.HTTP_PORT === config.WS_PORT) problems.push('HTTP_PORT 与 WS_PORT 不能相同');
+    ['RECONNECT_GRACE_MS', 'STREAM_KEEPALIVE_MS', 'SHUTDOWN_DRAIN_MS'].forEach(key => {
+      if (!(Number.isFinite(config[key]) && config[key] >= 0)) problems.push(`${key} 必须是非负数`);
+    });
+    if (config.HEARTBEAT_TIMEOUT_MS <= config.HEARTBEAT_INTERVAL_MS) problems.push('HEARTBEAT_TIMEOUT_MS 必须大于 HEARTBEAT_INTERVAL_MS');
+    ['REQUEST_TIMEOUT_MS', 'IDLE_TIMEOUT_MS', 'POOL_MAX_FAILURES', 'POOL_COOLDOWN_MS', 'LOG_MAX_BYTES', 'LOG_MAX_FILES',
+      'WS_FRAME_BYTES', 'HEARTBEAT_INTERVAL_MS', 'HEARTBEAT_TIMEOUT_MS', 'MAX_CONCURRENT_PER_CLIENT', 'QUEUE_MAX_LENGTH', 'QUEUE_MAX_WAIT_MS', 'CACHE_MAX_ENTRIES', 'CACHE_TTL_MS', 'STICKY_TTL_MS', 'ACCOUNT_QUOTA_COOLDOWN_MS'].forEach(key => {
+      if (!isPositive(config[key])) problems.push(`${key} 必须是正数`);
+    });
+    const keyPriorities = config.QUEUE_KEY_PRIORITIES;
+    if (!keyPriorities || typeof keyPriorities !== 'object' || Array.isArray(keyPriorities)) {
+      problems.push('QUEUE_KEY_PRIORITIES 必须是对象');
+    } else {
+      Object.entries(keyPriorities)
+        .filter(([, priority]) => !RequestQueue.PRIORITIES.includes(priority))
+        .forEach(([key]) => problems.push(`QUEUE_KEY_PRIORITIES 中 ${Auth.maskKey(key)} 的优先级无效 (可用: ${RequestQueue.PRIORITIES.join(' / ')})`));
+    }
+    if (!this.LOG_LEVELS.includes(config.LOG_LEVEL)) {
+      problems.push(`LOG_LEVEL 必须是 ${this.LOG_LEVELS.join(' / ')} 之一`);
+    }
+    ['API_KEYS', 'ADMIN_API_KEYS', 'WS_ALLOWED_ORIGINS', 'METRICS_MODELS'].forEach(key => {
+      if (!Array.isArray(config[key]) || config[key].some(item => typeof item !== 'string')) {
+        problems.push(`${key} 必须是字符串数组`);
+      }
+    });
+    const rateLimits = config.RATE_LIMITS;
+    if (!rateLimits || typeof rateLimits !== 'object' || Array.isArray(rateLimits)) {
+      problems.push('RATE_LIMITS 必须是对象');
+    } else {
+      Object.entries(rateLimits).forEach(([key, limits]) => {
+        const name = key === '*' ? '*' : Auth.maskKey(key);
+        if (!limits || typeof limits !== 'object') return problems.push(`RATE_LIMITS.${name} 必须是对象`);
+        Object.entries(limits)
+          .filter(([field, value]) => !['rpm', 'dailyTokens'].includes(field) || !(typeof value === 'number' && value >= 0))
+          .forEach(([field]) => problems.push(`RATE_LIMITS.${name}.${field} 无效 (可用: rpm, dailyTokens，值为非负数)`));
+      });
+    }
+    ['HTTP_HOST', 'WS_HOST', 'TARGET_DOMAIN', 'WS_TOKEN', 'LOG_DIR', 'USAGE_FILE', 'CACHE_DIR', 'CASSETTE_DIR'].forEach(key => {
+      if (typeof config[key] !== 'string') problems.push(`${key} 必须是字符串`);
+    });
+    [['CASSETTE_MODE', ['off', 'record', 'replay']], ['CASSETTE_TIMING', ['original', 'fast']], ['STICKY_SESSIONS', ['conversation', 'apiKey', 'off']]].forEach(([key, allowed]) => {
+      if (!allowed.includes(config[key])) problems.push(`${key} 必须是 ${allowed.join(' / ')} 之一`);
+    });
+    ['LOG_PROMPTS', 'CACHE_ENABLED', 'CASSETTE_STRICT', 'WS_BINARY_RESPONSES', 'WS_COMPRESSION'].forEach(key => {
+      if (typeof config[key] !== 'boolean') problems.push(`${key} 必须是布尔值`);
+    });
+    problems.push(...ModelRouter.validate(config));
+    problems.push(...RewriteEngine.validateProfiles(config.PROFILES));
+    problems.push(...this.validateRetryPolicy('RETRY_POLICY', config.RETRY_POLICY));
+    Object.entries(config.PROFILES || {}).forEach(([name, profile]) => {
+      if (profile && profile.retryPolicy) {
+        problems.push(...this.validateRetryPolicy(`PROFILES.${name}.retryPolicy`, profile.retryPolicy));
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new Error(`配置校验失败:\n  - ${problems.join('\n  - ')}`);
+    }
+  },
+
+  validateRetryPolicy(name, policy) {
+    const allowed = ['maxAttempts', 'baseDelayMs', 'maxDelayMs', 'maxTotalMs'];
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) return [`${name} 必须是对象`];
+    return Object.entries(policy)
+      .filter(([key, value]) => !allowed.includes(key) || !(typeof value === 'number' && value >= 0))
+      .map(([key]) => `${name}.${key} 无效 (可用: ${allowed.join(', ')}，值为非负数)`);
+  },
+
+  // 重新读取配置文件，只应用可热重载的配置项，不影响现有连接
+  reload() {
+    let next;
+    try {
+      next = this.compose();
+    } catch (error) {
+      Logger.error('配置重载失败，继续使用当前配置:', error.message);
+      return false;
+    }
+
+    const changed = [];
+    Object.keys(next).forEach(key => {
+      if (JSON.stringify(next[key]) === JSON.stringify(CONFIG[key])) return;
+      if (this.STRUCTURAL_KEYS.includes(key)) {
+        Logger.warn(`配置项 ${key} 需要重启服务才能生效，本次重载已忽略`);
+        return;
+      }
+      CONFIG[key] = next[key];
+      changed.push(key);
+    });
+
+    Logger.success(`配置已重载${changed.length > 0 ? `，变更项: ${changed.join(', ')}` : '，无变更'}`);
+    return true;
+  },
+
+  // SIGHUP 或配置文件变化时重载
+  watch() {
+    process.on('SIGHUP', () => {
+      Logger.log('🔄 收到 SIGHUP，重新加载配置...');
+      this.reload();
+    });
+
+    if (this.configFile) {
+      fs.watchFile(this.configFile, { interval: 2000 }, (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) return;
+        Logger.log(`🔄 检测到配置文件变化: ${this.configFile}`);
+        this.reload();
+      });
+    }
+  }
+};
+
+// 安全设置：全部不过滤
+const SAFETY_SETTINGS_BLOCK_NONE = [
+  { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
+  { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
+  { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
+  { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
+  { category: "HARM_CATEGORY_CIVIC_INTEGRITY", threshold: "BLOCK_NONE" }
+];
+
+// 日志工具：分级、结构化 (控制台可读格式 + 按日期/大小轮转的 JSONL 文件)
+const Logger = {
+  LEVELS: { debug: 0, info: 1, warn: 2, error: 3 },
+  ICONS: { debug: '🔍', info: '', warn: '⚠️', error: '❌' },
+
+  // 需要脱敏的字段名 (不区分大小写)
+  REDACT_KEYS: ['authorization', 'x-goog-api-key', 'x-api-key', 'key', 'token', 'cookie', 'set-cookie', 'api_keys', 'ws_token'],
+
+  file: null,
+
+  isEnabled(level) {
+    return this.LEVELS[level] >= this.LEVELS[CONFIG.LOG_LEVEL];
+  },
+
+  debug(...args) { this._write('debug', {}, args); },
+  log(...args) { this._write('info', {}, args); },
+  info(...args) { this._write('info', {}, args); },
+  success(...args) { this._write('info', { icon: '✅' }, args); },
+  warn(...args) { this._write('warn', {}, args); },
+  error(...args) { this._write('error', {}, args); },
+
+  // 绑定上下文 (request_id / client / model 等) 的子日志器
+  child(context) {
+    const parent = this;
+    const bound = {};
+    ['debug', 'log', 'info', 'success', 'warn', 'error'].forEach(method => {
+      bound[method] = (...args) => {
+        const fields = parent._isPlainObject(args[args.length - 1]) ? args.pop() : {};
+        parent[method](...args, { ...context, ...fields });
+      };
+    });
+    bound.isEnabled = level => parent.isEnabled(level);
+    bound.child = extra => parent.child({ ...context, ...extra });
+    return bound;
+  },
+
+  // 递归脱敏对象中的凭据字段
+  redact(value) {
+    if (typeof value === 'string') return this._redactString(value);
+    if (Array.isArray(value)) return value.map(item => this.redact(item));
+    if (!this._isPlainObject(value)) return value;
+
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+      result[key] = this.REDACT_KEYS.includes(key.toLowerCase()) && item ? '[REDACTED]' : this.redact(item);
+    });
+    return result;
+  },
+
+  // 请求/响应内容默认不落日志，只记录长度 (LOG_PROMPTS=true 时保留原文)
+  body(text) {
+    if (text === undefined || text === null) return undefined;
+    const value = String(text);
+    return CONFIG.LOG_PROMPTS ? value : `[已省略 ${Buffer.byteLength(value)} 字节]`;
+  },
+
+  _write(level, options, args) {
+    if (!this.isEnabled(level)) return;
+
+    const fields = this._isPlainObject(args[args.length - 1]) ? this.redact(args.pop()) : {};
+    const message = this._redactString(args.map(arg => {
+      if (arg instanceof Error) return arg.stack || arg.message;
+      if (typeof arg === 'object') {
+        try { return JSON.stringify(arg); } catch (e) { return String(arg); }
+      }
+      return String(arg);
+    }).join(' '));
+
+    const now = new Date();
+    this._writeConsole(level, options.icon, now, message, fields);
+    this._writeFile({ ts: now.toISOString(), level, msg: message, ...fields });
+  },
+
+  _writeConsole(level, icon, now, message, fields) {
+    const timestamp = now.toLocaleString('zh-CN', { hour12: false });
+    const prefix = [`[${timestamp}]`, icon || this.ICONS[level]].filter(Boolean).join(' ');
+    const context = Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(' ');
+    const line = context ? `${prefix} ${message}  (${context})` : `${prefix} ${message}`;
+    if (level === 'error' || level === 'warn') {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  },
+
+  _writeFile(record) {
+    if (!CONFIG.LOG_DIR) return;
+    try {
+      const line = JSON.stringify(record) + '\n';
+      const file = this._openFile(record.ts.slice(0, 10), Buffer.byteLength(line));
+      file.stream.write(line);
+      file.size += Buffer.byteLength(line);
+    } catch (e) {
+      console.error('写入日志文件失败:', e.message);
+    }
+  },
+
+  // 日期变化、目录变化或超过 LOG_MAX_BYTES 时切换文件
+  _openFile(date, incomingBytes) {
+    const file = this.file;
+    if (file && file.dir === CONFIG.LOG_DIR && file.date === date
+      && file.size + incomingBytes <= CONFIG.LOG_MAX_BYTES) {
+      return file;
+    }
+
+    if (file) file.stream.end();
+    fs.mkdirSync(CONFIG.LOG_DIR, { recursive: true });
+    const filePath = path.join(CONFIG.LOG_DIR, `g-server-${date}.jsonl`);
+    let size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    if (size > 0 && size + incomingBytes > CONFIG.LOG_MAX_BYTES) {
+      this._rotate(filePath);
+      size = 0;
+    }
+
+    this.file = {
+      dir: CONFIG.LOG_DIR,
+      date,
+      size,
+      stream: fs.createWriteStream(filePath, { flags: 'a' })
+    };
+    return this.file;
+  },
+
+  // g-server-<date>.jsonl -> .1.jsonl -> .2.jsonl ...，超过 LOG_MAX_FILES 的删除
+  _rotate(filePath) {
+    const base = filePath.replace(/\.jsonl$/, '');
+    const oldest = `${base}.${CONFIG.LOG_MAX_FILES}.jsonl`;
+    if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+    for (let i = CONFIG.LOG_MAX_FILES - 1; i >= 1; i--) {
+      const from = `${base}.${i}.jsonl`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${base}.${i + 1}.jsonl`);
+    }
+    fs.renameSync(filePath, `${base}.1.jsonl`);
+  },
+
+  _redactString(text) {
+    return text
+      .replace(/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]')
+      .replace(/([?&](?:key|token)=)[^&\s"']+/gi, '$1[REDACTED]');
+  },
+
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+  }
+};
+
+// 请求改写规则引擎：按客户端 profile 对路径和 Body 做兼容性修复
+const RewriteEngine = {
+  HISTORY_SIZE: 200,
+  history: [],
+
+  // 每个规则返回描述字符串表示已生效，返回 null 表示未触发
+  TRANSFORMS: {
+    // 修复 /models/models/ 重复路径 (rikkahub)
+    fixModelsPath(request) {
+      if (!request.path.includes('/models/models/')) return null;
+      const original = request.path;
+      request.path = request.path.replace('/models/models/', '/models/');
+      return `${original} -> ${request.path}`;
+    },
+
+    // 移除 tools；onlyWithThinking 时仅在开启 thinkingConfig 时移除
+    dropTools(request, options) {
+      const body = request.body;
+      if (!body || !Array.isArray(body.tools) || body.tools.length === 0) return null;
+      const hasThinking = Boolean(body.generationConfig && body.generationConfig.thinkingConfig);
+      if (options.onlyWithThinking && !hasThinking) return null;
+      delete body.tools;
+      return hasThinking ? '移除 tools (与 thinkingConfig 冲突)' : '移除 tools';
+    },
+
+    // mode=default 只在客户端未指定时补全，mode=force 无条件覆盖
+    safetySettings(request, options) {
+      const body = request.body;
+      if (!body) return null;
+      const hasSettings = Array.isArray(body.safetySettings) && body.safetySettings.length > 0;
+      if (hasSettings && options.mode !== 'force') return null;
+      const settings = options.settings || SAFETY_SETTINGS_BLOCK_NONE;
+      body.safetySettings = settings.map(item => ({ ...item }));
+      return `${hasSettings ? '覆盖' : '补全'}安全设置 (${settings.length} 项)`;
+    },
+
+    // 为 generationConfig 填充默认值；force 时覆盖客户端的值
+    generationConfig(request, options) {
+      const body = request.body;
+      if (!body || !options.values) return null;
+      body.generationConfig = body.generationConfig || {};
+      const applied = Object.keys(options.values).filter(key => {
+        if (!options.force && body.generationConfig[key] !== undefined) return false;
+        body.generationConfig[key] = options.values[key];
+        return true;
+      });
+      return applied.length > 0 ? `设置 ${applied.join(', ')}` : null;
+    }
+  },
+
+  // 规则可以写成字符串简写或 { type, ...options }
+  normalizeTransform(transform) {
+    return typeof transform === 'string' ? { type: transform } : transform;
+  },
+
+  validateProfiles(profiles) {
+    const problems = [];
+    if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+      return ['PROFILES 必须是对象'];
+    }
+    Object.entries(profiles).forEach(([name, profile]) => {
+      if (!profile || !Array.isArray(profile.transforms)) {
+        problems.push(`PROFILES.${name}.transforms 必须是数组`);
+        return;
+      }
+      profile.transforms.forEach(transform => {
+        const { type } = this.normalizeTransform(transform) || {};
+        if (!this.TRANSFORMS[type]) problems.push(`PROFILES.${name} 中存在未知规则: ${type}`);
+      });
+      if (profile.streamFormat !== undefined && !['sse', 'json'].includes(profile.streamFormat)) {
+        problems.push(`PROFILES.${name}.streamFormat 必须是 sse 或 json`);
+      }
+    });
+    return problems;
+  },
+
+  // 选择 profile：x-proxy-profile 头 > match 条件 (API Key / User-Agent / 请求头) > default
+  selectProfile(context) {
+    const profiles = CONFIG.PROFILES;
+    const requested = context.headers['x-proxy-profile'];
+    if (requested && profiles[requested]) {
+      return { name: requested, matchedBy: 'header:x-proxy-profile' };
+    }
+
+    for (const [name, profile] of Object.entries(profiles)) {
+      const match = profile.match;
+      if (!match) continue;
+      if (Array.isArray(match.apiKeys) && context.apiKey && match.apiKeys.includes(context.apiKey)) {
+        return { name, matchedBy: 'apiKey' };
+      }
+      if (match.userAgent && String(context.headers['user-agent'] || '').toLowerCase()
+        .includes(String(match.userAgent).toLowerCase())) {
+        return { name, matchedBy: 'userAgent' };
+      }
+      if (match.header && context.headers[String(match.header.name).toLowerCase()] === match.header.value) {
+        return { name, matchedBy: `header:${match.header.name}` };
+      }
+    }
+
+    return { name: profiles.default ? 'default' : null, matchedBy: 'default' };
+  },
+
+  // 管理接口展示的 profile 配置，match.apiKeys 中的密钥脱敏
+  describeProfiles() {
+    return Object.fromEntries(Object.entries(CONFIG.PROFILES).map(([name, profile]) => {
+      if (!profile.match || !Array.isArray(profile.match.apiKeys)) return [name, profile];
+      return [name, { ...profile, match: { ...profile.match, apiKeys: profile.match.apiKeys.map(key => Auth.maskKey(key)) } }];
+    }));
+  },
+
+  // 就地改写 request ({ path, body })，返回执行记录
+  apply(request, context) {
+    const selected = this.selectProfile(context);
+    const profile = selected.name ? CONFIG.PROFILES[selected.name] : { transforms: [] };
+    const isObjectBody = request.body !== null && typeof request.body === 'object';
+
+    const rules = profile.transforms.map(transform => {
+      const options = this.normalizeTransform(transform);
+      // 非 JSON Body 只执行路径类规则
+      const target = { path: request.path, body: isObjectBody ? request.body : null };
+      const detail = this.TRANSFORMS[options.type](target, options);
+      request.path = target.path;
+      return { type: options.type, applied: detail !== null, detail };
+    });
+
+    const trace = {
+      request_id: context.requestId,
+      timestamp: new Date().toISOString(),
+      profile: selected.name,
+      matchedBy: selected.matchedBy,
+      rules
+    };
+    this.record(trace);
+
+    rules.filter(rule => rule.applied).forEach(rule => {
+      Logger.log(`🧹 [${selected.name}] ${rule.type}: ${rule.detail}`);
+    });
+    return trace;
+  },
+
+  record(trace) {
+    this.history.push(trace);
+    if (this.history.length > this.HISTORY_SIZE) this.history.shift();
+  }
+};
+
+// 模型路由：别名解析与降级链
+const ModelRouter = {
+  validate(config) {
+    const problems = [];
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(config.MODEL_ALIASES)) {
+      problems.push('MODEL_ALIASES 必须是对象');
+    } else {
+      Object.entries(config.MODEL_ALIASES)
+        .filter(([, model]) => typeof model !== 'string' || !model)
+        .forEach(([alias]) => problems.push(`MODEL_ALIASES.${alias} 必须是模型名字符串`));
+    }
+    if (!isObject(config.MODEL_FALLBACKS)) {
+      problems.push('MODEL_FALLBACKS 必须是对象');
+    } else {
+      Object.entries(config.MODEL_FALLBACKS)
+        .filter(([, chain]) => !Array.isArray(chain) || chain.some(model => typeof model !== 'string' || !model))
+        .forEach(([model]) => problems.push(`MODEL_FALLBACKS.${model} 必须是模型名数组`));
+    }
+    return problems;
+  },
+
+  resolve(model) {
+    return CONFIG.MODEL_ALIASES[model] || model;
+  },
+
+  replaceModel(requestPath, model) {
+    return requestPath.replace(/(\/models\/)[^/:]+/, `$1${model}`);
+  },
+
+  // 返回 { path, requested, model, fallbacks }；路径中没有模型时返回 null
+  route(requestPath) {
+    const requested = modelFromPath(requestPath);
+    if (!requested) return null;
+    const model = this.resolve(requested);
+    const chain = CONFIG.MODEL_FALLBACKS[requested] || CONFIG.MODEL_FALLBACKS[model] || [];
+    const fallbacks = chain.map(item => this.resolve(item)).filter(item => item !== model);
+    return {
+      path: model === requested ? requestPath : this.replaceModel(requestPath, model),
+      requested,
+      model,
+      fallbacks: [...new Set(fallbacks)]
+    };
+  },
+
+  // 指标的 model 标签：模型名来自调用方的请求路径，只保留已知模型，防止产生无限多的时间序列
+  metricLabel(requestPath) {
+    const requested = modelFromPath(requestPath);
+    if (!requested) return 'unknown';
+    const model = this.resolve(requested);
+    const known = [
+      ...CONFIG.METRICS_MODELS,
+      ...Object.values(CONFIG.MODEL_ALIASES),
+      ...Object.entries(CONFIG.MODEL_FALLBACKS).flatMap(([name, chain]) => [name, ...chain]).map(name => this.resolve(name))
+    ];
+    return known.includes(model) ? model : 'other';
+  }
+};
+
+// 统一的错误响应：上游错误原样透传，代理自身产生的错误使用相同的 Google 格式，
+// 并在 details 中以 ErrorInfo.reason 标明来源 (domain 固定为 gproxy)
+const ProxyError = {
+  DOMAIN: 'gproxy',
+  STATUS_NAMES: {
+    400: 'INVALID_ARGUMENT',
+    401: 'UNAUTHENTICATED',
+    403: 'PERMISSION_DENIED',
+    404: 'NOT_FOUND',
+    409: 'ABORTED',
+    429: 'RESOURCE_EXHAUSTED',
+    499: 'CANCELLED',
+    500: 'INTERNAL',
+    501: 'NOT_IMPLEMENTED',
+    502: 'UNAVAILABLE',
+    503: 'UNAVAILABLE',
+    504: 'DEADLINE_EXCEEDED'
+  },
+  // 透传上游响应时不应复制的头
+  HOP_BY_HOP_HEADERS: ['transfer-encoding', 'content-encoding', 'content-length', 'connection'],
+
+  body(code, message, reason) {
+    return {
+      error: {
+        code,
+        message,
+        status: this.STATUS_NAMES[code] || (code >= 500 ? 'INTERNAL' : 'UNKNOWN'),
+        details: [{
+          '@type': 'type.googleapis.com/google.rpc.ErrorInfo',
+          reason,
+          domain: this.DOMAIN
+        }]
+      }
+    };
+  },
+
+  send(res, code, message, reason) {
+    if (res.headersSent) return res.end();
+    res.status(code).json(this.body(code, message, reason));
+  },
+
+  // 判断上游错误体是否已经是 Google 格式 ({error:{...}} 或流式接口的 [{error:{...}}])
+  isGoogleShaped(text) {
+    try {
+      const parsed = JSON.parse(text);
+      const error = Array.isArray(parsed) ? parsed[0] && parsed[0].error : parsed.error;
+      return Boolean(error && typeof error === 'object' && error.code);
+    } catch (e) {
+      return false;
+    }
+  },
+
+  copyHeaders(res, headers) {
+    Object.entries(headers || {}).forEach(([key, value]) => {
+      if (!this.HOP_BY_HOP_HEADERS.includes(key.toLowerCase())) {
+        res.setHeader(key, value);
+      }
+    });
+  }
+};
+
+// 鉴权工具
+const Auth = {
+  // 常量时间比较，避免通过响应时间猜测密钥
+  safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+  },
+
+  // 依次从 Authorization: Bearer、x-goog-api-key、x-api-key、?key= 中取出调用方密钥
+  extractApiKey(req) {
+    const authorization = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(authorization);
+    if (match) return match[1].trim();
+    return req.headers['x-goog-api-key'] || req.headers['x-api-key'] || (req.query && req.query.key) || null;
+  },
+
+  // 日志与管理接口中展示的脱敏密钥
+  maskKey(key) {
+    if (!key) return null;
+    return key.length <= 8 ? '****' : `${key.slice(0, 4)}…${key.slice(-4)}`;
+  },
+
+  isValidApiKey(key) {
+    if (!key) return false;
+    return CONFIG.API_KEYS.some(allowed => this.safeEqual(allowed, key)) || this.isAdminKey(key);
+  },
+
+  isAdminKey(key) {
+    if (!key) return false;
+    return CONFIG.ADMIN_API_KEYS.some(allowed => this.safeEqual(allowed, key));
+  },
+
+  enabled() {
+    return CONFIG.API_KEYS.length > 0 || CONFIG.ADMIN_API_KEYS.length > 0;
+  },
+
+  // 未配置任何密钥时所有人都视为管理员 (与 HTTP 接口不鉴权一致)
+  isAdmin(req) {
+    if (!this.enabled()) return true;
+    return this.isAdminKey(this.extractApiKey(req));
+  },
+
+  // WebSocket 握手校验：Origin 白名单 + 共享密钥
+  verifyBrowserClient(info) {
+    const origin = info.origin || info.req.headers.origin;
+    if (origin && !CONFIG.WS_ALLOWED_ORIGINS.includes(origin)) {
+      return { ok: false, code: 403, reason: `来源不被允许: ${origin}` };
+    }
+    if (CONFIG.WS_TOKEN) {
+      const token = new URL(info.req.url, 'ws://localhost').searchParams.get('token');
+      if (!token || !this.safeEqual(CONFIG.WS_TOKEN, token)) {
+        return { ok: false, code: 401, reason: '密钥无效' };
+      }
+    }
+    return { ok: true };
+  }
+};
+
+// 服务端与 g-browser.js 之间的协议版本，浏览器连接后必须先发送 hello
+const PROTOCOL = {
+  VERSION: 2,
+  MIN_VERSION: 2,
+  FEATURES: ['cancel', 'binary_frames', 'pause', 'compression'], // compression 需要 WebSocket 握手协商出 permessage-deflate
+  HELLO_TIMEOUT_MS: 10000,
+  CLOSE_INCOMPATIBLE: 4001,
+  CLOSE_SHUTDOWN: 4002,          // 计划内关闭，浏览器会延后重连
+  SERVER_VERSION: require('./package.json').version
+};
+
+// WebSocket 二进制帧的编解码与 CRC32 复用 g-browser.js 的 BinaryFrame，这里只负责请求体的拆分发送
+const WireFrame = {
+  // 大请求体拆分发送：先发不含 body 的请求规范 (带 body_transfer 描述)，再按序发送二进制分片
+  // 浏览器未声明 binary_frames 时整体以文本帧发送
+  sendSpec(client, requestSpec) {
+    const { ws } = client;
+    const binary = client.features.includes('binary_frames');
+    const spec = { ...requestSpec, binary_frames: binary && CONFIG.WS_BINARY_RESPONSES };
+    const body = typeof spec.body === 'string' ? Buffer.from(spec.body) : null;
+    if (!binary || !body || body.length <= CONFIG.WS_FRAME_BYTES) {
+      ws.send(JSON.stringify(spec));
+      return 1;
+    }
+
+    const chunks = Math.ceil(body.length / CONFIG.WS_FRAME_BYTES);
+    delete spec.body;
+    spec.body_transfer = { chunks, bytes: body.length, crc32: BinaryFrame.crc32(body) };
+    ws.send(JSON.stringify(spec));
+    for (let seq = 0; seq < chunks; seq++) {
+      const payload = body.subarray(seq * CONFIG.WS_FRAME_BYTES, (seq + 1) * CONFIG.WS_FRAME_BYTES);
+      ws.send(BinaryFrame.encode({ request_id: spec.request_id, seq }, payload), { binary: true });
+    }
+    return chunks;
+  }
 };
 
-// 日志工具
-const Logger = {
-  log(...args) {
-    const timestamp = new Date().toLocaleString('zh-CN', { hour12: false });
-    console.log(`[${timestamp}]`, ...args);
-  },
+// 按 API Key 的限流 (令牌桶，每分钟请求数) 与每日 token 预算 (按 UTC 自然日，来自 usageMetadata)
+const Quota = {
+  buckets: new Map(),
+  usage: { date: null, callers: {} },
+  saveTimer: null,
+
+  today() {
+    return new Date().toISOString().slice(0, 10);
+  },
+
+  // 用量文件中不保存明文 Key
+  idOf(apiKey) {
+    return apiKey ? crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 16) : 'anonymous';
+  },
+
+  // '*' 为默认限制，具体 Key 的配置覆盖默认值；0 或未设置表示不限制
+  limitsFor(apiKey) {
+    return { ...CONFIG.RATE_LIMITS['*'], ...(apiKey && CONFIG.RATE_LIMITS[apiKey]) };
+  },
+
+  load() {
+    if (!CONFIG.USAGE_FILE || !fs.existsSync(CONFIG.USAGE_FILE)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(CONFIG.USAGE_FILE, 'utf8'));
+      if (saved && saved.date === this.today() && saved.callers) {
+        this.usage = saved;
+        Logger.log(`📊 已恢复今日用量记录: ${Object.keys(saved.callers).length} 个调用方`);
+      }
+    } catch (error) {
+      Logger.warn(`用量文件读取失败，将重新统计: ${error.message}`);
+    }
+  },
+
+  // 先写临时文件再改名，避免进程退出时留下半个文件
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!CONFIG.USAGE_FILE) return;
+    try {
+      fs.mkdirSync(path.dirname(CONFIG.USAGE_FILE), { recursive: true });
+      const tmpFile = `${CONFIG.USAGE_FILE}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.usage, null, 2));
+      fs.renameSync(tmpFile, CONFIG.USAGE_FILE);
+    } catch (error) {
+      Logger.error('用量文件写入失败:', error.message);
+    }
+  },
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), 1000);
+    this.saveTimer.unref();
+  },
+
+  // 取当日用量记录，跨天时清零
+  record(apiKey) {
+    const date = this.today();
+    if (this.usage.date !== date) {
+      this.usage = { date, callers: {} };
+    }
+    const id = this.idOf(apiKey);
+    if (!this.usage.callers[id]) {
+      this.usage.callers[id] = { caller: Auth.maskKey(apiKey), requests: 0, tokens: 0 };
+    }
+    return this.usage.callers[id];
+  },
+
+  // 按经过的时间补充令牌
+  bucketOf(apiKey, rpm) {
+    const now = Date.now();
+    let bucket = this.buckets.get(apiKey);
+    if (!bucket) {
+      bucket = { tokens: rpm, updatedAt: now };
+      this.buckets.set(apiKey, bucket);
+    }
+    bucket.tokens = Math.min(rpm, bucket.tokens + (now - bucket.updatedAt) * rpm / 60000);
+    bucket.updatedAt = now;
+    return bucket;
+  },
+
+  secondsUntilTomorrow() {
+    const tomorrow = new Date(`${this.today()}T00:00:00Z`).getTime() + 24 * 3600 * 1000;
+    return Math.ceil((tomorrow - Date.now()) / 1000);
+  },
+
+  // 请求开始前检查，通过时扣除一个令牌；未通过时返回错误信息与 Retry-After 秒数
+  check(apiKey) {
+    const limits = this.limitsFor(apiKey);
+    const record = this.record(apiKey);
+
+    if (limits.dailyTokens && record.tokens >= limits.dailyTokens) {
+      return {
+        reason: 'DAILY_TOKEN_BUDGET_EXCEEDED',
+        message: `今日 token 预算已用完 (${record.tokens}/${limits.dailyTokens})`,
+        retryAfter: this.secondsUntilTomorrow()
+      };
+    }
+
+    if (limits.rpm) {
+      const bucket = this.bucketOf(apiKey, limits.rpm);
+      if (bucket.tokens < 1) {
+        return {
+          reason: 'RATE_LIMIT_EXCEEDED',
+          message: `请求过于频繁，限制为每分钟 ${limits.rpm} 次`,
+          retryAfter: Math.ceil((1 - bucket.tokens) * 60 / limits.rpm)
+        };
+      }
+      bucket.tokens -= 1;
+    }
+
+    this.recordRequest(apiKey);
+    return null;
+  },
+
+  // 缓存命中不经过 check (不消耗上游配额)，但同样计入当日请求数
+  recordRequest(apiKey) {
+    this.record(apiKey).requests++;
+    this.scheduleSave();
+  },
+
+  recordTokens(apiKey, tokens) {
+    if (!tokens) return;
+    this.record(apiKey).tokens += tokens;
+    this.scheduleSave();
+  },
+
+  describe(apiKey) {
+    const limits = this.limitsFor(apiKey);
+    const record = this.record(apiKey);
+    const bucket = limits.rpm ? this.bucketOf(apiKey, limits.rpm) : null;
+    return {
+      caller: record.caller,
+      date: this.usage.date,
+      requests: record.requests,
+      tokens: record.tokens,
+      limits: { rpm: limits.rpm || null, dailyTokens: limits.dailyTokens || null },
+      remaining: {
+        requestsThisMinute: bucket ? Math.floor(bucket.tokens) : null,
+        dailyTokens: limits.dailyTokens ? Math.max(0, limits.dailyTokens - record.tokens) : null
+      },
+      resetsInSeconds: this.secondsUntilTomorrow()
+    };
+  }
+};
+
+// HTTP 服务器
+class HTTPServer {
+  constructor(proxyManager) {
+    this.app = express();
+    this.proxyManager = proxyManager;
+    this.setupMiddleware();
+    this.setupRoutes();
+  }
+  
+  setupMiddleware() {
+    // 解析 JSON body
+    this.app.use(express.json({ limit: '50mb' }));
+    this.app.use(express.text({ type: 'text/plain', limit: '50mb' }));
+    
+    // CORS 支持
+    this.app.use((req, res, next) => {
+      res.header('Access-Control-Allow-Origin', '*');
+      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-api-key, x-goog-api-key, anthropic-version, x-proxy-profile, x-proxy-priority, x-proxy-cache, x-proxy-session');
+      res.header('Access-Control-Expose-Headers', 'X-Proxy-Model, X-Proxy-Profile, X-Proxy-Cache, Retry-After');
+      
+      if (req.method === 'OPTIONS') {
+        return res.sendStatus(200);
+      }
+      next();
+    });
+    
+    // 请求日志
+    this.app.use((req, res, next) => {
+      const startedAt = Date.now();
+      Logger.log(`📨 HTTP请求: ${req.method} ${req.path}`, { ip: req.ip });
+      res.on('finish', () => {
+        Logger.debug(`📨 HTTP响应: ${req.method} ${req.path}`, {
+          status: res.statusCode,
+          duration_ms: Date.now() - startedAt
+        });
+      });
+      next();
+    });
+
+    // 关闭过程中拒绝新请求 (包括健康检查，便于负载均衡摘除)，已接收的请求不受影响
+    this.app.use((req, res, next) => {
+      if (!this.proxyManager.draining) return next();
+      res.setHeader('Retry-After', String(this.proxyManager.drainRetryAfter()));
+      res.setHeader('Connection', 'close');
+      ProxyError.send(res, 503, '服务器正在关闭，请稍后重试', 'SERVER_SHUTTING_DOWN');
+    });
+
+    // API Key 鉴权 (健康检查除外)，调用方密钥与管理员密钥都未配置时才跳过
+    this.app.use((req, res, next) => {
+      if (!Auth.enabled() || req.path === '/health') {
+        return next();
+      }
+
+      const apiKey = Auth.extractApiKey(req);
+      if (!Auth.isValidApiKey(apiKey)) {
+        Logger.warn(`🔒 鉴权失败: ${req.method} ${req.path} (${req.ip})`);
+        return ProxyError.send(res, 401, apiKey ? 'API key not valid' : 'Missing API key', 'PROXY_API_KEY_INVALID');
+      }
+
+      req.apiKey = apiKey;
+      next();
+    });
+  }
+  
+  setupRoutes() {
+    // 修改共享状态的管理操作需要管理员密钥
+    const requireAdmin = (req, res, next) => {
+      if (Auth.isAdmin(req)) return next();
+      ProxyError.send(res, 403, '该操作需要管理员密钥 (ADMIN_API_KEYS)', 'PROXY_ADMIN_REQUIRED');
+    };
+
+    // Prometheus 指标
+    this.app.get('/metrics', (req, res) => {
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(Metrics.registry.render());
+    });
+
+    // 健康检查
+    this.app.get('/health', (req, res) => {
+      res.json({
+        status: 'ok',
+        browserConnected: this.proxyManager.isConnected(),
+        clients: this.proxyManager.describeClients(),
+        queue: this.proxyManager.describeQueue(),
+        accounts: this.proxyManager.describeAccounts(),
+        timestamp: new Date().toISOString()
+      });
+    });
+    
+    // 查看 profile 配置及最近请求执行了哪些改写规则 (?request_id= 查询单个请求)
+    this.app.get('/admin/profiles', requireAdmin, (req, res) => {
+      const requestId = req.query.request_id;
+      if (requestId) {
+        const trace = RewriteEngine.history.find(item => item.request_id === requestId);
+        if (!trace) {
+          return ProxyError.send(res, 404, `未找到请求记录: ${requestId}`, 'PROXY_NOT_FOUND');
+        }
+        return res.json(trace);
+      }
+      res.json({
+        profiles: RewriteEngine.describeProfiles(),
+        recent: RewriteEngine.history.slice().reverse()
+      });
+    });
+
+    // 查看 / 清空响应缓存
+    this.app.get('/admin/cache', requireAdmin, (req, res) => {
+      res.json(this.proxyManager.cache.describe());
+    });
+
+    this.app.delete('/admin/cache', requireAdmin, (req, res) => {
+      const cleared = this.proxyManager.cache.clear();
+      Logger.log(`🧹 响应缓存已清空，共 ${cleared} 条`);
+      res.json({ cleared });
+    });
+
+    // 调用方查询自己的用量与剩余额度
+    this.app.get('/usage', (req, res) => {
+      res.json(Quota.describe(req.apiKey));
+    });
+
+    // 查看进行中的请求：管理员可以看到全部，其他调用方只能看到自己发起的
+    this.app.get('/admin/requests', (req, res) => {
+      const requests = this.proxyManager.describePendingRequests(Auth.isAdmin(req) ? null : req.apiKey);
+      res.json({ count: requests.length, requests });
+    });
+
+    // 取消进行中的请求：管理员可以取消任意请求，其他调用方只能取消自己发起的
+    this.app.delete('/admin/requests/:id', (req, res) => {
+      const admin = Auth.isAdmin(req);
+      if (!admin && !req.apiKey) {
+        return ProxyError.send(res, 403, '该操作需要管理员密钥 (ADMIN_API_KEYS)', 'PROXY_ADMIN_REQUIRED');
+      }
+      if (!this.proxyManager.abortRequest(req.params.id, admin ? null : req.apiKey)) {
+        return ProxyError.send(res, 404, `未找到进行中的请求: ${req.params.id}`, 'PROXY_NOT_FOUND');
+      }
+      res.json({ id: req.params.id, cancelled: true });
+    });
+
+    // OpenAI 兼容接口
+    this.app.post('/v1/chat/completions', (req, res) => {
+      const body = req.body || {};
+      const invalid = OpenAICompat.validate(body);
+      if (invalid) {
+        return res.status(400).json(OpenAICompat.errorBody(400, invalid, 'invalid_request_error'));
+      }
+
+      const requestId = this.proxyManager.nextRequestId();
+      const requestSpec = this.proxyManager.buildTranslatedSpec(req, res, requestId, OpenAICompat.toGeminiRequest(body));
+      const adapter = new OpenAIChatAdapter(res, {
+        requestId,
+        model: body.model,
+        stream: Boolean(body.stream),
+        includeUsage: Boolean(body.stream_options && body.stream_options.include_usage)
+      });
+
+      Logger.log(`🔀 OpenAI 请求转换: ${body.model} -> ${requestSpec.path}`);
+      this.proxyManager.dispatch(requestSpec, res, adapter);
+    });
+
+    // Anthropic Messages 兼容接口
+    this.app.post('/v1/messages', (req, res) => {
+      const body = req.body || {};
+      const invalid = AnthropicCompat.validate(body);
+      if (invalid) {
+        return res.status(400).json(AnthropicCompat.errorBody(400, invalid));
+      }
+
+      const requestId = this.proxyManager.nextRequestId();
+      const requestSpec = this.proxyManager.buildTranslatedSpec(req, res, requestId, AnthropicCompat.toGeminiRequest(body));
+      const adapter = new AnthropicMessagesAdapter(res, {
+        requestId,
+        model: body.model,
+        stream: Boolean(body.stream)
+      });
+
+      Logger.log(`🔀 Anthropic 请求转换: ${body.model} -> ${requestSpec.path}`);
+      this.proxyManager.dispatch(requestSpec, res, adapter);
+    });
+
+    this.app.get('/v1/models', (req, res) => {
+      const requestId = this.proxyManager.nextRequestId();
+      const requestSpec = {
+        request_id: requestId,
+        method: 'GET',
+        path: '/v1beta/models',
+        query_params: { pageSize: '1000' },
+        headers: {},
+        body: ''
+      };
+      this.proxyManager.dispatch(requestSpec, res, new OpenAIModelsAdapter(res, requestId));
+    });
+    
+    // 代理所有请求 - 使用中间件方式
+    this.app.use(async (req, res, next) => {
+      // 跳过 /health 路径
+      if (req.path === '/health') {
+        return next();
+      }
+      
+      try {
+        await this.proxyManager.forwardRequest(req, res);
+      } catch (error) {
+        Logger.error('请求处理失败:', error.message);
+        ProxyError.send(res, 500, error.message, 'PROXY_INTERNAL');
+      }
+    });
+  }
+  
+  start() {
+    return new Promise((resolve) => {
+      this.server = this.app.listen(CONFIG.HTTP_PORT, CONFIG.HTTP_HOST, () => {
+        Logger.success(`HTTP服务启动成功: http://${CONFIG.HTTP_HOST}:${CONFIG.HTTP_PORT}`);
+        resolve();
+      });
+    });
+  }
+}
+
+// Prometheus 指标 (文本格式，无外部依赖)
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help, labelNames) {
+    return this._register({ type: 'counter', name, help, labelNames, values: new Map() });
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register({ type: 'histogram', name, help, labelNames, buckets, values: new Map() });
+  }
+
+  _register(metric) {
+    const registry = this;
+    this.metrics.push(metric);
+    return {
+      inc(labels, value = 1) {
+        const entry = registry._entry(metric, labels, () => ({ value: 0 }));
+        entry.value += value;
+      },
+      observe(labels, value) {
+        const entry = registry._entry(metric, labels, () => ({
+          counts: metric.buckets.map(() => 0),
+          sum: 0,
+          count: 0
+        }));
+        metric.buckets.forEach((bound, i) => {
+          if (value <= bound) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  _entry(metric, labels, create) {
+    const key = JSON.stringify(metric.labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])));
+    if (!metric.values.has(key)) metric.values.set(key, create());
+    return metric.values.get(key);
+  }
+
+  _formatLabels(labelNames, values, extra = '') {
+    const pairs = labelNames.map((name, i) => `${name}="${values[i].replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  render() {
+    const lines = [];
+    this.metrics.forEach(metric => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      metric.values.forEach((entry, key) => {
+        const values = JSON.parse(key);
+        if (metric.type === 'counter') {
+          lines.push(`${metric.name}${this._formatLabels(metric.labelNames, values)} ${entry.value}`);
+          return;
+        }
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${metric.name}_bucket${this._formatLabels(metric.labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+        });
+        lines.push(`${metric.name}_bucket${this._formatLabels(metric.labelNames, values, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${metric.name}_sum${this._formatLabels(metric.labelNames, values)} ${entry.sum}`);
+        lines.push(`${metric.name}_count${this._formatLabels(metric.labelNames, values)} ${entry.count}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+}
+
+// 代理请求指标
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600];
+const metrics = new MetricsRegistry();
+const Metrics = {
+  registry: metrics,
+  requests: metrics.counter('gproxy_requests_total', '完成的代理请求数', ['model', 'client', 'status']),
+  duration: metrics.histogram('gproxy_request_duration_seconds', '请求总耗时', ['model', 'client'], LATENCY_BUCKETS),
+  timeToHeaders: metrics.histogram('gproxy_time_to_headers_seconds', '收到 response_headers 的耗时', ['model', 'client'], LATENCY_BUCKETS),
+  timeToFirstChunk: metrics.histogram('gproxy_time_to_first_chunk_seconds', '收到第一个 chunk 的耗时', ['model', 'client'], LATENCY_BUCKETS),
+  bytes: metrics.counter('gproxy_response_bytes_total', '流式返回给客户端的字节数', ['model', 'client']),
+  retries: metrics.counter('gproxy_upstream_retries_total', '浏览器报告的上游重试次数', ['model', 'client']),
+  tokens: metrics.counter('gproxy_tokens_total', 'usageMetadata 中的 token 数', ['model', 'client', 'type']),
+  cacheLookups: metrics.counter('gproxy_cache_lookups_total', '响应缓存查询次数', ['result']),
+  queueWait: metrics.histogram('gproxy_queue_wait_seconds', '请求在队列中等待空闲连接的时长', ['priority'], LATENCY_BUCKETS)
+};
+
+// 从响应流中提取 usageMetadata (兼容 SSE / JSON / JSON 数组流)
+class UsageScanner {
+  constructor() {
+    this.usage = null;
+    this.modelVersion = null;
+    this.sse = null;
+    this.buffer = '';
+    this.overflow = false;
+  }
+
+  push(text, isSSE) {
+    if (this.sse === null) this.sse = isSSE;
+    if (this.sse) {
+      if (!this.parser) this.parser = new SSEParser(data => this._collect(data));
+      this.parser.push(text);
+      return;
+    }
+    // 非 SSE 响应需完整解析，超过上限时放弃统计
+    if (this.overflow) return;
+    this.buffer += text;
+    if (this.buffer.length > UsageScanner.MAX_BUFFER) {
+      this.overflow = true;
+      this.buffer = '';
+    }
+  }
+
+  finish() {
+    if (this.parser) this.parser.flush();
+    if (this.buffer) {
+      try {
+        const parsed = JSON.parse(this.buffer);
+        (Array.isArray(parsed) ? parsed : [parsed]).forEach(item => this._collect(item));
+      } catch (e) {
+        // 非 JSON 响应没有 usageMetadata
+      }
+      this.buffer = '';
+    }
+    return this.usage;
+  }
+
+  // usageMetadata 为累计值，以最后一次出现的为准
+  _collect(data) {
+    if (!data || typeof data !== 'object') return;
+    if (data.usageMetadata) this.usage = data.usageMetadata;
+    if (data.modelVersion) this.modelVersion = data.modelVersion;
+  }
+}
+UsageScanner.MAX_BUFFER = 20 * 1024 * 1024;
+
+// 浏览器客户端连接池
+class BrowserClientPool {
+  constructor() {
+    this.clients = new Map();
+    this.clientIdCounter = 0;
+  }
+
+  add(ws, label) {
+    const id = `browser_${++this.clientIdCounter}`;
+    const client = {
+      id,
+      label: label || id,
+      ws,
+      connectedAt: Date.now(),
+      // hello 完成前不分发请求
+      ready: false,
+      protocolVersion: null,
+      features: [],
+      build: null,
+      account: null, // 浏览器登录的账号，同一账号可以有多个连接
+      lastSeenAt: Date.now(),
+      latencyMs: null,
+      paused: false, // 浏览器控制面板暂停接收新请求
+      totalRequests: 0,
+      totalErrors: 0,
+      consecutiveFailures: 0,
+      disabledUntil: 0
+    };
+    this.clients.set(id, client);
+    return client;
+  }
+
+  remove(id) {
+    this.clients.delete(id);
+  }
+
+  get(id) {
+    return this.clients.get(id);
+  }
+
+  isAvailable(client) {
+    // 已握手、OPEN、未暂停且不在冷却期
+    return client.ready && client.ws.readyState === 1 && !client.paused && Date.now() >= client.disabledUntil;
+  }
+
+  hasAvailable() {
+    return [...this.clients.values()].some(client => this.isAvailable(client));
+  }
+
+  hasPaused() {
+    return [...this.clients.values()].some(client => client.ready && client.ws.readyState === 1 && client.paused);
+  }
+
+  // 选出待处理请求最少的可用连接 (accept 进一步筛选)
+  select(loadOf, accept = () => true) {
+    let selected = null;
+    let selectedLoad = Infinity;
+    this.clients.forEach(client => {
+      if (!this.isAvailable(client) || !accept(client)) return;
+      const load = loadOf(client.id);
+      if (load < selectedLoad) {
+        selected = client;
+        selectedLoad = load;
+      }
+    });
+    return selected;
+  }
+
+  recordSuccess(id) {
+    const client = this.clients.get(id);
+    if (client) client.consecutiveFailures = 0;
+  }
+
+  // 连续失败达到阈值后暂停向该连接分发请求
+  recordFailure(id) {
+    const client = this.clients.get(id);
+    if (!client) return;
+    client.totalErrors++;
+    client.consecutiveFailures++;
+    if (client.consecutiveFailures >= CONFIG.POOL_MAX_FAILURES) {
+      client.disabledUntil = Date.now() + CONFIG.POOL_COOLDOWN_MS;
+      client.consecutiveFailures = 0;
+      Logger.warn(`连接 ${client.label} 连续失败，暂停分发 ${CONFIG.POOL_COOLDOWN_MS / 1000} 秒`);
+    }
+  }
+
+  describe(loadOf) {
+    return [...this.clients.values()].map(client => ({
+      id: client.id,
+      label: client.label,
+      account: client.account,
+      status: client.ws.readyState !== 1 ? 'closed'
+        : !client.ready ? 'handshaking'
+          : client.paused ? 'paused'
+            : (this.isAvailable(client) ? 'available' : 'cooldown'),
+      protocolVersion: client.protocolVersion,
+      features: client.features,
+      build: client.build,
+      latencyMs: client.latencyMs,
+      lastSeenAt: new Date(client.lastSeenAt).toISOString(),
+      pending: loadOf(client.id),
+      totalRequests: client.totalRequests,
+      totalErrors: client.totalErrors,
+      connectedAt: new Date(client.connectedAt).toISOString(),
+      disabledUntil: client.disabledUntil > Date.now() ? new Date(client.disabledUntil).toISOString() : null
+    }));
+  }
+}
+
+// 多账号路由：同一对话 / 调用方固定到同一账号，保持上游缓存与上下文的局部性；
+// 账号返回 429 后，该模型在重置时间之前不再分发到这个账号 (Gemini 的配额按账号和模型计算)
+class AccountRouter {
+  constructor() {
+    this.accounts = new Map(); // account -> { requests, quotaErrors, lastQuotaError, exhausted: Map(model -> 恢复时间) }
+    this.pins = new Map();     // stickyKey -> { account, lastUsedAt }，按最近使用排序
+  }
+
+  state(account) {
+    if (!this.accounts.has(account)) {
+      this.accounts.set(account, { requests: 0, quotaErrors: 0, lastQuotaError: null, exhausted: new Map() });
+    }
+    return this.accounts.get(account);
+  }
+
+  // x-proxy-session 头优先，其次按 API Key + 系统提示 + 第一条消息识别同一对话，最后按 API Key
+  stickyKeyOf(requestSpec, req) {
+    if (CONFIG.STICKY_SESSIONS === 'off') return null;
+    const apiKey = (req && req.apiKey) || '';
+    const hash = value => crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+    if (CONFIG.STICKY_SESSIONS === 'conversation') {
+      const session = req && req.headers['x-proxy-session'];
+      if (session) return `session:${session}`;
+      try {
+        const body = JSON.parse(requestSpec.body);
+        if (Array.isArray(body.contents) && body.contents.length > 0) {
+          return `conversation:${hash(apiKey + JSON.stringify(canonicalize([body.systemInstruction || null, body.contents[0]])))}`;
+        }
+      } catch (e) {
+        // 没有对话内容的请求按 API Key 固定
+      }
+    }
+    return apiKey ? `key:${hash(apiKey)}` : null;
+  }
+
+  pinned(key) {
+    const pin = key && this.pins.get(key);
+    if (!pin) return null;
+    if (Date.now() - pin.lastUsedAt > CONFIG.STICKY_TTL_MS) {
+      this.pins.delete(key);
+      return null;
+    }
+    return pin.account;
+  }
+
+  pin(key, account) {
+    if (!key) return;
+    this.pins.delete(key);
+    this.pins.set(key, { account, lastUsedAt: Date.now() });
+    // 最久未使用的在前面，遇到未过期的即可停止清理
+    for (const [oldKey, pin] of this.pins) {
+      if (Date.now() - pin.lastUsedAt <= CONFIG.STICKY_TTL_MS) break;
+      this.pins.delete(oldKey);
+    }
+  }
+
+  exhaustedUntil(account, model) {
+    const state = this.accounts.get(account);
+    const until = state && model ? state.exhausted.get(model) : 0;
+    if (!until) return 0;
+    if (until <= Date.now()) {
+      state.exhausted.delete(model);
+      return 0;
+    }
+    return until;
+  }
+
+  markExhausted(account, model, message) {
+    const state = this.state(account);
+    const until = this.resetTimeOf(message);
+    state.quotaErrors++;
+    state.lastQuotaError = new Date().toISOString();
+    state.exhausted.set(model, Math.max(until, state.exhausted.get(model) || 0));
+    return until;
+  }
+
+  // 重置时间：Retry-After 头、RetryInfo.retryDelay，按天计算的配额 (QuotaFailure 中的 PerDay) 等到太平洋时间零点
+  resetTimeOf(message) {
+    const now = Date.now();
+    let resetAt = 0;
+    const retryAfter = Object.entries(message.headers || {})
+      .filter(([key]) => key.toLowerCase() === 'retry-after')
+      .map(([, value]) => value)[0];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      resetAt = Number.isNaN(seconds) ? (Date.parse(retryAfter) || 0) : now + seconds * 1000;
+    }
+    try {
+      const parsed = JSON.parse(message.body);
+      const error = Array.isArray(parsed) ? parsed[0].error : parsed.error;
+      (error.details || []).forEach(detail => {
+        const type = String(detail['@type'] || '');
+        const delay = /^([\d.]+)s$/.exec(detail.retryDelay || '');
+        if (type.endsWith('google.rpc.RetryInfo') && delay) {
+          resetAt = Math.max(resetAt, now + Number(delay[1]) * 1000);
+        }
+        if (type.endsWith('google.rpc.QuotaFailure') && (detail.violations || []).some(violation => /PerDay/i.test(violation.quotaId || ''))) {
+          resetAt = Math.max(resetAt, this.nextPacificMidnight(now));
+        }
+      });
+    } catch (e) {
+      // 非 JSON 错误体
+    }
+    return resetAt > now ? resetAt : now + CONFIG.ACCOUNT_QUOTA_COOLDOWN_MS;
+  }
+
+  nextPacificMidnight(now) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', { timeZone: 'America/Los_Angeles', hourCycle: 'h23', hour: 'numeric', minute: 'numeric', second: 'numeric' })
+      .formatToParts(new Date(now))
+      .forEach(part => { parts[part.type] = Number(part.value); });
+    const elapsedMs = (parts.hour * 3600 + parts.minute * 60 + parts.second) * 1000 + now % 1000;
+    return now - elapsedMs + 24 * 3600 * 1000;
+  }
+
+  // clients: 已握手的连接，没有连接的账号显示为 offline
+  describe(clients) {
+    const names = new Set([...this.accounts.keys(), ...clients.map(client => client.account)]);
+    return [...names].map(account => {
+      const state = this.state(account);
+      const exhaustedModels = {};
+      [...state.exhausted.keys()].forEach(model => {
+        const until = this.exhaustedUntil(account, model);
+        if (until) exhaustedModels[model] = new Date(until).toISOString();
+      });
+      const labels = clients.filter(client => client.account === account).map(client => client.label);
+      let stickySessions = 0;
+      this.pins.forEach(pin => {
+        if (pin.account === account && Date.now() - pin.lastUsedAt <= CONFIG.STICKY_TTL_MS) stickySessions++;
+      });
+      return {
+        account,
+        clients: labels,
+        status: labels.length === 0 ? 'offline' : (Object.keys(exhaustedModels).length > 0 ? 'quota_limited' : 'available'),
+        exhaustedModels,
+        quotaErrors: state.quotaErrors,
+        lastQuotaError: state.lastQuotaError,
+        requests: state.requests,
+        stickySessions
+      };
+    });
+  }
+}
+
+// 等待空闲连接的请求队列：高优先级先出队，同优先级先进先出
+class RequestQueue {
+  static PRIORITIES = ['high', 'normal', 'low'];
+
+  constructor() {
+    this.items = [];
+    this.stats = { enqueued: 0, dequeued: 0, rejected: 0, expired: 0, totalWaitMs: 0, peakWaitMs: 0 };
+  }
+
+  get length() {
+    return this.items.length;
+  }
+
+  // front: 插到同优先级请求之前 (重新分发的请求已经等过一轮)
+  push(entry, front = false) {
+    const rank = RequestQueue.PRIORITIES.indexOf(entry.priority);
+    const index = this.items.findIndex(item => {
+      const itemRank = RequestQueue.PRIORITIES.indexOf(item.priority);
+      return front ? itemRank >= rank : itemRank > rank;
+    });
+    if (index === -1) {
+      this.items.push(entry);
+    } else {
+      this.items.splice(index, 0, entry);
+    }
+    this.stats.enqueued++;
+  }
+
+  // 取出指定请求 (按连接匹配出队时，排在前面的请求可能还在等待特定账号)
+  take(entry) {
+    if (entry && this.remove(entry)) {
+      const waited = Date.now() - entry.enqueuedAt;
+      this.stats.dequeued++;
+      this.stats.totalWaitMs += waited;
+      this.stats.peakWaitMs = Math.max(this.stats.peakWaitMs, waited);
+    }
+    return entry;
+  }
+
+  remove(entry) {
+    const index = this.items.indexOf(entry);
+    if (index === -1) return false;
+    this.items.splice(index, 1);
+    return true;
+  }
+
+  // 队列已满时，若存在比新请求优先级低的请求，则挤出最后一个
+  evictLowerThan(priority) {
+    const last = this.items[this.items.length - 1];
+    if (!last || RequestQueue.PRIORITIES.indexOf(last.priority) <= RequestQueue.PRIORITIES.indexOf(priority)) {
+      return null;
+    }
+    return this.items.pop();
+  }
+
+  find(requestId) {
+    return this.items.find(item => item.requestSpec.request_id === requestId);
+  }
+
+  describe() {
+    const now = Date.now();
+    const byPriority = {};
+    RequestQueue.PRIORITIES.forEach(priority => {
+      byPriority[priority] = this.items.filter(item => item.priority === priority).length;
+    });
+    return {
+      depth: this.items.length,
+      byPriority,
+      oldestWaitMs: this.items.length > 0 ? now - Math.min(...this.items.map(item => item.enqueuedAt)) : 0,
+      avgWaitMs: this.stats.dequeued > 0 ? Math.round(this.stats.totalWaitMs / this.stats.dequeued) : 0,
+      peakWaitMs: this.stats.peakWaitMs,
+      enqueued: this.stats.enqueued,
+      rejected: this.stats.rejected,
+      expired: this.stats.expired
+    };
+  }
+}
+
+// 对象键排序，字段顺序不同的相同请求序列化后一致 (用于缓存与录制的匹配 key)
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      result[key] = canonicalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+// 确定性请求的响应缓存：内存中按 LRU 顺序保存索引，响应体落盘，重启后仍可命中
+class ResponseCache {
+  constructor() {
+    this.index = new Map(); // key -> { createdAt }，Map 的插入顺序即 LRU 顺序
+    this.stats = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+    this.loadedDir = null;
+  }
+
+  // 只缓存非流式请求；generateContent 仅在 temperature 为 0 时缓存
+  keyOf(requestSpec) {
+    const { method, path: requestPath, body } = requestSpec;
+    let parsed = null;
+    if (method === 'POST') {
+      try {
+        parsed = JSON.parse(body);
+      } catch (e) {
+        return null;
+      }
+    }
+
+    if (method === 'GET') {
+      if (!/\/models(\/[^/:]+)?$/.test(requestPath)) return null;
+    } else if (/:generateContent$/.test(requestPath)) {
+      const temperature = parsed && parsed.generationConfig && parsed.generationConfig.temperature;
+      if (temperature !== 0) return null;
+    } else if (!/:(countTokens|embedContent|batchEmbedContents)$/.test(requestPath)) {
+      return null;
+    }
+
+    const query = { ...requestSpec.query_params };
+    delete query.key;
+    const normalized = JSON.stringify([method, requestPath.replace(/\/+$/, ''), canonicalize(query), canonicalize(parsed)]);
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  _file(key) {
+    return path.join(CONFIG.CACHE_DIR, `${key}.json`);
+  }
+
+  // 首次使用时按文件修改时间恢复索引
+  _ensureLoaded() {
+    if (this.loadedDir === CONFIG.CACHE_DIR) return;
+    this.loadedDir = CONFIG.CACHE_DIR;
+    this.index.clear();
+    if (!fs.existsSync(CONFIG.CACHE_DIR)) return;
+    fs.readdirSync(CONFIG.CACHE_DIR)
+      .filter(name => name.endsWith('.json'))
+      .map(name => ({ key: name.slice(0, -5), mtime: fs.statSync(path.join(CONFIG.CACHE_DIR, name)).mtimeMs }))
+      .sort((a, b) => a.mtime - b.mtime)
+      .forEach(item => this.index.set(item.key, { createdAt: item.mtime }));
+    this._evict();
+  }
+
+  get(key) {
+    this._ensureLoaded();
+    const meta = this.index.get(key);
+    if (!meta || Date.now() - meta.createdAt > CONFIG.CACHE_TTL_MS) {
+      if (meta) this._delete(key);
+      this.stats.misses++;
+      return null;
+    }
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(this._file(key), 'utf8'));
+    } catch (e) {
+      this._delete(key);
+      this.stats.misses++;
+      return null;
+    }
+    this.index.delete(key);
+    this.index.set(key, meta);
+    this.stats.hits++;
+    return entry;
+  }
+
+  set(key, entry) {
+    this._ensureLoaded();
+    try {
+      fs.mkdirSync(CONFIG.CACHE_DIR, { recursive: true });
+      fs.writeFileSync(this._file(key), JSON.stringify(entry));
+    } catch (error) {
+      Logger.error('响应缓存写入失败:', error.message);
+      return;
+    }
+    this.index.delete(key);
+    this.index.set(key, { createdAt: Date.now() });
+    this.stats.stores++;
+    this._evict();
+  }
+
+  _delete(key) {
+    this.index.delete(key);
+    fs.rmSync(this._file(key), { force: true });
+  }
+
+  _evict() {
+    while (this.index.size > CONFIG.CACHE_MAX_ENTRIES) {
+      this._delete(this.index.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  clear() {
+    this._ensureLoaded();
+    const count = this.index.size;
+    [...this.index.keys()].forEach(key => this._delete(key));
+    return count;
+  }
+
+  describe() {
+    this._ensureLoaded();
+    return {
+      enabled: CONFIG.CACHE_ENABLED,
+      entries: this.index.size,
+      maxEntries: CONFIG.CACHE_MAX_ENTRIES,
+      ttlMs: CONFIG.CACHE_TTL_MS,
+      ...this.stats
+    };
+  }
+}
+
+// 录制文件：每个请求一个 JSON，文件名为匹配 key (方法 + 路径 + 查询参数 + 请求体，忽略 key 参数与请求头)
+const Cassette = {
+  // 回放时挂在待处理请求上的虚拟连接
+  CLIENT: { id: 'cassette', label: 'cassette' },
+
+  keyOf(requestSpec) {
+    let body = requestSpec.body || null;
+    try {
+      if (body) body = JSON.parse(body);
+    } catch (e) {
+      // 非 JSON 请求体按原文匹配
+    }
+    const query = { ...requestSpec.query_params };
+    delete query.key;
+    const normalized = JSON.stringify([requestSpec.method, requestSpec.path.replace(/\/+$/, ''), canonicalize(query), canonicalize(body)]);
+    return crypto.createHash('sha256').update(normalized).digest('hex').slice(0, 32);
+  },
+
+  _file(key) {
+    return path.join(CONFIG.CASSETTE_DIR, `${key}.json`);
+  },
+
+  // 录制模式下为转发的请求开始记录
+  start(requestSpec) {
+    if (CONFIG.CASSETTE_MODE !== 'record') return null;
+    const { request_id, ...request } = requestSpec;
+    request.query_params = { ...request.query_params };
+    delete request.query_params.key;
+    return { key: this.keyOf(requestSpec), recordedAt: new Date().toISOString(), startedAt: Date.now(), request, events: [] };
+  },
+
+  // 事件按收到的顺序保存，offsetMs 为相对转发时刻的毫秒数
+  record(pending, message) {
+    if (!pending.recording) return;
+    const { request_id, ...event } = message;
+    pending.recording.events.push({ offsetMs: Date.now() - pending.recording.startedAt, event });
+  },
+
+  // 收到 stream_close 或 error 后写入文件；同一请求重复录制时覆盖旧文件
+  save(pending) {
+    const recording = pending.recording;
+    if (!recording) return;
+    pending.recording = null;
+    const { startedAt, ...cassette } = recording;
+    try {
+      fs.mkdirSync(CONFIG.CASSETTE_DIR, { recursive: true });
+      fs.writeFileSync(this._file(recording.key), JSON.stringify(cassette, null, 2));
+      pending.log.log(`📼 已录制 ${recording.events.length} 个事件: ${recording.key}.json`);
+    } catch (error) {
+      Logger.error('录制文件写入失败:', error.message);
+    }
+  },
+
+  find(requestSpec) {
+    try {
+      return JSON.parse(fs.readFileSync(this._file(this.keyOf(requestSpec)), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+};
+
+// WebSocket 代理管理器
+class ProxyManager {
+  constructor() {
+    this.pool = new BrowserClientPool();
+    this.accounts = new AccountRouter();
+    this.queue = new RequestQueue();
+    this.cache = new ResponseCache();
+    this.pendingRequests = new Map();
+    this.requestIdCounter = 0;
+    this.avgServiceMs = 0;
+    this.lastDisconnectAt = 0; // 最后一个可用连接断开的时间，用于重连宽限期
+    this.graceTimer = null;
+    this.drainTimer = null;
+    this.draining = false;
+    this.drainDeadline = 0;
+  }
+  
+  isConnected() {
+    return this.pool.hasAvailable();
+  }
+
+  // 某个连接上的待处理请求数
+  loadOf(clientId) {
+    let count = 0;
+    this.pendingRequests.forEach(pending => {
+      if (pending.clientId === clientId) count++;
+    });
+    return count;
+  }
+
+  describeClients() {
+    return this.pool.describe(clientId => this.loadOf(clientId));
+  }
+
+  describeAccounts() {
+    return this.accounts.describe([...this.pool.clients.values()].filter(client => client.ready));
+  }
+  
+setupWebSocket() {
+    // 修改这里：增加 maxPayload 限制，并关闭压缩以提高大文本传输稳定性
+    this.wss = new WebSocketServer({ 
+        port: CONFIG.WS_PORT,
+        host: CONFIG.WS_HOST,
+        // 握手阶段校验，未通过的连接不会进入连接池
+        verifyClient: (info, callback) => {
+          const result = Auth.verifyBrowserClient(info);
+          if (!result.ok) {
+            Logger.warn(`🔒 拒绝浏览器连接 (${info.req.socket.remoteAddress}): ${result.reason}`);
+            return callback(false, result.code, result.reason);
+          }
+          callback(true);
+        },
+        maxPayload: 100 * 1024 * 1024, // 设置最大允许 100MB 的数据包 (足够应对超长 Prompt)
+        perMessageDeflate: CONFIG.WS_COMPRESSION ? { threshold: 1024 } : false // 小于 1KB 的消息不压缩
+    });
+    
+    this.wss.on('connection', (ws, req) => {
+      const label = new URL(req.url, 'ws://localhost').searchParams.get('label');
+      const client = this.pool.add(ws, label);
+      Logger.success(`🔗 浏览器客户端已连接: ${client.label} (${client.id})，等待 hello...`);
+
+      // 旧版脚本不会发送 hello
+      const helloTimer = setTimeout(() => {
+        if (client.ready) return;
+        Logger.warn(`🤝 ${client.label} 未在 ${PROTOCOL.HELLO_TIMEOUT_MS / 1000} 秒内完成握手，断开连接`);
+        ws.close(PROTOCOL.CLOSE_INCOMPATIBLE, 'hello timeout, please update g-browser.js');
+      }, PROTOCOL.HELLO_TIMEOUT_MS);
+      
+      // 增加错误处理，防止个别连接报错导致整个服务崩溃
+      ws.on('error', (err) => {
+          Logger.error(`WebSocket 连接发生错误 (${client.label}):`, err.message);
+      });
+      
+      ws.on('message', (data, isBinary) => {
+        this.handleBrowserMessage(data, client, isBinary);
+      });
+      
+      ws.on('close', () => {
+        clearTimeout(helloTimer);
+        Logger.log(`❌ 浏览器客户端断开连接: ${client.label} (${client.id})`);
+        this.pool.remove(client.id);
+        if (client.ready && !this.isConnected() && !this.draining) this.startReconnectGrace();
+        
+        // 尚未收到响应头的幂等请求放回队列，等待重连后重新分发；其余请求失败
+        this.pendingRequests.forEach((pending, requestId) => {
+          if (pending.clientId !== client.id) return;
+          clearTimeout(pending.timeout);
+          this.pendingRequests.delete(requestId);
+          if (this.canRedispatch(pending)) {
+            pending.log.warn('🔁 浏览器连接断开，请求将在新连接上重新发送');
+            return this.requeue(pending.entry);
+          }
+          this.recordCompletion(pending, 'disconnected');
+          const message = '浏览器连接在处理请求时断开，可能是请求内容过长导致';
+          if (pending.adapter) {
+            pending.adapter.onError({ request_id: requestId, status: 502, message });
+          } else {
+            this.sendPendingError(pending, 502, message, 'BROWSER_DISCONNECTED');
+          }
+        });
+        this.drainQueue();
+      });
+    });
+    
+    this.scheduleHeartbeat();
+    Logger.success(`WebSocket服务启动成功: ws://${CONFIG.WS_HOST}:${CONFIG.WS_PORT}`);
+  }
+
+  // 优雅关闭：不再接收新请求，等待排队和进行中的请求在截止时间前完成，
+  // 到期仍未完成的请求返回 503 并通知浏览器取消，最后以 CLOSE_SHUTDOWN 关闭所有浏览器连接
+  async shutdown() {
+    this.draining = true;
+    this.drainDeadline = Date.now() + CONFIG.SHUTDOWN_DRAIN_MS;
+    const inFlight = () => this.queue.length + this.pendingRequests.size;
+    if (inFlight() > 0) {
+      Logger.warn(`⏳ 等待 ${inFlight()} 个进行中的请求完成 (最长 ${CONFIG.SHUTDOWN_DRAIN_MS / 1000} 秒)...`);
+    }
+    while (inFlight() > 0 && Date.now() < this.drainDeadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    const message = '服务器正在关闭，请求已取消';
+    if (inFlight() > 0) {
+      Logger.warn(`🛑 关闭等待超时，取消剩余的 ${inFlight()} 个请求`);
+    }
+    [...this.queue.items].forEach(entry => {
+      this.queue.remove(entry);
+      clearTimeout(entry.timer);
+      this.failQueued(entry, 503, message, 'SERVER_SHUTTING_DOWN');
+    });
+    [...this.pendingRequests.entries()].forEach(([requestId, pending]) => {
+      if (!this.cancelRequest(requestId, 'shutdown')) return;
+      if (pending.adapter) {
+        pending.adapter.onError({ request_id: requestId, status: 503, message });
+      } else {
+        this.sendPendingError(pending, 503, message, 'SERVER_SHUTTING_DOWN');
+      }
+    });
+
+    clearTimeout(this.heartbeatTimer);
+    clearTimeout(this.graceTimer);
+    clearTimeout(this.drainTimer);
+    this.pool.clients.forEach(client => client.ws.close(PROTOCOL.CLOSE_SHUTDOWN, 'server shutdown'));
+    // 等待关闭握手完成，浏览器无响应时不无限等待
+    await Promise.race([
+      new Promise(resolve => this.wss.close(resolve)),
+      new Promise(resolve => setTimeout(resolve, 2000))
+    ]);
+  }
+
+  // 关闭期间被拒绝的请求建议在截止时间之后重试
+  drainRetryAfter() {
+    return Math.max(1, Math.ceil((this.drainDeadline - Date.now()) / 1000));
+  }
+
+  // 最后一个连接断开：宽限期内新请求和重新分发的请求排队等待，到期仍未重连则全部失败
+  startReconnectGrace() {
+    if (!CONFIG.RECONNECT_GRACE_MS) return;
+    this.lastDisconnectAt = Date.now();
+    Logger.warn(`⏳ 所有浏览器连接已断开，${CONFIG.RECONNECT_GRACE_MS / 1000} 秒内重连的请求不会失败`);
+    clearTimeout(this.graceTimer);
+    this.graceTimer = setTimeout(() => {
+      if (this.isConnected() || this.queue.length === 0) return;
+      Logger.error(`浏览器未在宽限期内重连，${this.queue.length} 个排队请求失败`);
+      [...this.queue.items].forEach(entry => {
+        this.queue.remove(entry);
+        clearTimeout(entry.timer);
+        this.failQueued(entry, 503, '浏览器代理未连接，请运行 g-browser.js', 'BROWSER_NOT_CONNECTED');
+      });
+    }, CONFIG.RECONNECT_GRACE_MS);
+  }
+
+  inReconnectGrace() {
+    return CONFIG.RECONNECT_GRACE_MS > 0 && Date.now() - this.lastDisconnectAt < CONFIG.RECONNECT_GRACE_MS;
+  }
+
+  // 生成/计数/向量化和 GET 请求可以安全地重新发送
+  isIdempotent(requestSpec) {
+    if (['GET', 'HEAD'].includes(requestSpec.method)) return true;
+    return /:(generateContent|streamGenerateContent|countTokens|embedContent|batchEmbedContents)$/.test(requestSpec.path);
+  }
+
+  // 只重发还没有任何数据到达客户端的请求，且最多重发两次
+  canRedispatch(pending) {
+    const { entry, res } = pending;
+    return CONFIG.RECONNECT_GRACE_MS > 0
+      && !pending.headersAt
+      && !res.headersSent
+      && !res.writableEnded
+      && !res.destroyed
+      && (entry.redispatches || 0) < 2
+      && this.isIdempotent(entry.requestSpec);
+  }
+
+  requeue(entry) {
+    entry.redispatches = (entry.redispatches || 0) + 1;
+    entry.enqueuedAt = Date.now();
+    this.queue.push(entry, true);
+    this.armQueueTimer(entry);
+  }
+
+  // 定时 ping 所有连接；超过 HEARTBEAT_TIMEOUT_MS 没有任何消息的半开连接直接断开
+  scheduleHeartbeat() {
+    this.heartbeatTimer = setTimeout(() => {
+      const now = Date.now();
+      this.pool.clients.forEach(client => {
+        if (!client.ready || client.ws.readyState !== 1) return;
+        if (now - client.lastSeenAt > CONFIG.HEARTBEAT_TIMEOUT_MS) {
+          Logger.warn(`💔 ${client.label} ${Math.round((now - client.lastSeenAt) / 1000)} 秒无响应，断开连接`);
+          client.ws.terminate();
+          return;
+        }
+        client.ws.send(JSON.stringify({ event_type: 'ping', ts: now }));
+      });
+      this.scheduleHeartbeat();
+    }, CONFIG.HEARTBEAT_INTERVAL_MS);
+  }
+
+  // hello：校验协议版本，回复协商后的功能列表
+  handleHello(message, client) {
+    const version = message.protocol_version;
+    if (!(version >= PROTOCOL.MIN_VERSION && version <= PROTOCOL.VERSION)) {
+      const reason = `protocol v${version || 1} unsupported, server needs v${PROTOCOL.MIN_VERSION}-v${PROTOCOL.VERSION}`;
+      Logger.warn(`🤝 拒绝 ${client.label}: 协议版本不兼容 (${reason})，请更新 g-browser.js`);
+      client.ws.close(PROTOCOL.CLOSE_INCOMPATIBLE, reason);
+      return;
+    }
+
+    if (message.label) client.label = String(message.label);
+    client.account = String(message.account || client.label);
+    client.protocolVersion = version;
+    const compressed = String(client.ws.extensions || '').includes('permessage-deflate');
+    client.features = PROTOCOL.FEATURES
+      .filter(feature => (message.features || []).includes(feature))
+      .filter(feature => feature !== 'compression' || compressed);
+    client.build = message.build || null;
+    client.ready = true;
+    client.ws.send(JSON.stringify({
+      event_type: 'hello',
+      protocol_version: PROTOCOL.VERSION,
+      client_id: client.id,
+      label: client.label,
+      features: client.features,
+      server: { version: PROTOCOL.SERVER_VERSION },
+      heartbeat_interval_ms: CONFIG.HEARTBEAT_INTERVAL_MS,
+      heartbeat_timeout_ms: CONFIG.HEARTBEAT_TIMEOUT_MS
+    }));
+    Logger.success(`🤝 ${client.label} 握手完成 (协议 v${version}，${(client.build && client.build.version) || '未知版本'}，功能: ${client.features.join(', ') || '无'})，当前连接数 ${this.pool.clients.size}`);
+    this.drainQueue();
+  }
+  
+async forwardRequest(req, res) {
+    const requestId = this.nextRequestId();
+
+    // ---  参数清洗逻辑 (移除 API Key) ---
+    const targetQuery = { ...req.query };
+    if (targetQuery.key) {
+        delete targetQuery.key;
+    }
+
+    let finalBody = req.body;
+    
+    // 确保我们需要处理的是对象
+    if (typeof finalBody === 'string') {
+        try {
+            finalBody = JSON.parse(finalBody);
+        } catch (e) {
+            // 如果解析失败，说明不是 JSON，保持原样
+            Logger.warn('解析请求 Body 失败，将按原样发送');
+        }
+    }
+
+    // 按客户端 profile 改写路径与 Body
+    const rewritten = this.applyProfile(req, res, requestId, req.path, finalBody);
+
+    // 流式请求统一向上游要 SSE (事件边界明确)，再按客户端要求的格式重新分帧
+    if (/:streamGenerateContent$/.test(rewritten.path)) {
+      res.locals.streamFormat = this.streamFormatOf(req, rewritten.profile);
+      targetQuery.alt = 'sse';
+    }
+
+    // 构建请求规范
+    const requestSpec = {
+      request_id: requestId,
+      method: req.method,
+      path: rewritten.path,
+      query_params: targetQuery,
+      headers: this.sanitizeHeaders(req.headers),
+      // 使用处理后的 Body
+      body: JSON.stringify(rewritten.body)
+    };
+    this.attachRetryPolicy(requestSpec, rewritten.profile);
+
+
+    this.dispatch(requestSpec, res);
+  }
+
+  // 执行 profile 改写规则，并在响应头中标明使用的 profile
+  applyProfile(req, res, requestId, path, body) {
+    const request = { path, body };
+    const trace = RewriteEngine.apply(request, {
+      requestId,
+      apiKey: req.apiKey,
+      headers: req.headers
+    });
+    if (trace.profile) res.setHeader('X-Proxy-Profile', trace.profile);
+    request.profile = trace.profile;
+
+    // 模型别名解析，降级链留给 dispatch 使用
+    const route = ModelRouter.route(request.path);
+    if (route) {
+      if (route.model !== route.requested) {
+        Logger.log(`🔀 模型别名 ${route.requested} -> ${route.model}`, { request_id: requestId });
+      }
+      request.path = route.path;
+      res.locals.modelRoute = route;
+    }
+    return request;
+  }
+
+  // 流式响应格式：profile.streamFormat > alt=sse > Accept: text/event-stream > JSON 数组 (Gemini 默认)
+  streamFormatOf(req, profileName) {
+    const profile = profileName ? CONFIG.PROFILES[profileName] : null;
+    if (profile && profile.streamFormat) return profile.streamFormat;
+    if (req.query.alt === 'sse') return 'sse';
+    return /text\/event-stream/i.test(req.headers.accept || '') ? 'sse' : 'json';
+  }
+
+  // 全局 RETRY_POLICY 与 profile 中的 retryPolicy 合并后随请求下发，覆盖浏览器端默认策略
+  attachRetryPolicy(requestSpec, profileName) {
+    const profile = profileName ? CONFIG.PROFILES[profileName] : null;
+    const policy = { ...CONFIG.RETRY_POLICY, ...((profile && profile.retryPolicy) || {}) };
+    if (Object.keys(policy).length > 0) {
+      requestSpec.retry_policy = policy;
+    }
+    return requestSpec;
+  }
+
+  // 协议翻译后的 Gemini 请求 ({ path, query_params, body }) -> 请求规范
+  buildTranslatedSpec(req, res, requestId, geminiRequest) {
+    const rewritten = this.applyProfile(req, res, requestId, geminiRequest.path, geminiRequest.body);
+    return this.attachRetryPolicy({
+      request_id: requestId,
+      method: 'POST',
+      path: rewritten.path,
+      query_params: geminiRequest.query_params,
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(rewritten.body)
+    }, rewritten.profile);
+  }
+
+  // 生成请求 ID
+  nextRequestId() {
+    return `req_${++this.requestIdCounter}_${Date.now()}`;
+  }
+
+  // 发送请求规范到浏览器并登记待处理请求
+  // adapter 可选：用于把 Gemini 响应翻译成其他协议 (OpenAI / Anthropic 等)
+  dispatch(requestSpec, res, adapter = null) {
+    const requestId = requestSpec.request_id;
+
+    // 缓存命中时直接返回，不经过浏览器 (x-proxy-cache: bypass 跳过查询，结果仍会刷新缓存)
+    const cacheKey = CONFIG.CACHE_ENABLED ? this.cache.keyOf(requestSpec) : null;
+    if (cacheKey) {
+      const bypass = String((res.req && res.req.headers['x-proxy-cache']) || '').toLowerCase() === 'bypass';
+      const cached = bypass ? null : this.cache.get(cacheKey);
+      const result = bypass ? 'bypass' : (cached ? 'hit' : 'miss');
+      Metrics.cacheLookups.inc({ result });
+      res.setHeader('X-Proxy-Cache', result.toUpperCase());
+      if (cached) return this.serveCached(requestSpec, res, adapter, cached);
+    }
+
+    const entry = {
+      requestSpec,
+      res,
+      adapter,
+      cacheKey,
+      fallbacks: res.locals.modelRoute ? [...res.locals.modelRoute.fallbacks] : [],
+      priority: this.priorityOf(res.req),
+      stickyKey: this.accounts.stickyKeyOf(requestSpec, res.req),
+      arrivedAt: Date.now(),
+      enqueuedAt: Date.now(),
+      log: Logger.child({ request_id: requestId, model: modelFromPath(requestSpec.path) })
+    };
+
+    // 客户端提前断开 (超时放弃 / 用户点击停止)：排队中直接出队，已转发则通知浏览器取消
+    res.on('close', () => {
+      if (res.writableFinished) return;
+      if (this.queue.remove(entry)) {
+        clearTimeout(entry.timer);
+        entry.log.warn('🛑 客户端在排队时断开');
+      } else if (this.cancelRequest(requestId)) {
+        entry.log.warn('🛑 客户端提前断开，已通知浏览器取消');
+      }
+    });
+
+    // 回放模式下匹配的请求直接用录制内容应答
+    if (this.replay(entry)) return;
+
+    // 重连宽限期内或浏览器只是暂停时不直接失败，先排队等待
+    if (!this.isConnected() && !this.inReconnectGrace() && !this.pool.hasPaused()) {
+      return this.failQueued(entry, 503, '浏览器代理未连接，请运行 g-browser.js', 'BROWSER_NOT_CONNECTED');
+    }
+
+    // 调用方限流 / 每日 token 预算
+    const apiKey = res.req && res.req.apiKey;
+    const denied = Quota.check(apiKey);
+    if (denied) {
+      Logger.warn(`🚦 ${Auth.maskKey(apiKey)} 被限制: ${denied.message}`, { request_id: requestId });
+      res.setHeader('Retry-After', String(denied.retryAfter));
+      return this.failQueued(entry, 429, denied.message, denied.reason);
+    }
+
+    // 所有在线账号的该模型配额都在冷却期：有降级模型就直接换，否则不再打扰上游
+    const exhaustedUntil = this.skipExhaustedModels(entry);
+    if (exhaustedUntil) {
+      res.setHeader('Retry-After', String(Math.max(1, Math.ceil((exhaustedUntil - Date.now()) / 1000))));
+      return this.failQueued(entry, 429, `所有账号的 ${modelFromPath(entry.requestSpec.path)} 配额已用尽，请稍后重试`, 'ACCOUNT_QUOTA_EXHAUSTED');
+    }
+
+    if (this.queue.length >= CONFIG.QUEUE_MAX_LENGTH) {
+      const evicted = this.queue.evictLowerThan(entry.priority);
+      this.queue.stats.rejected++;
+      if (!evicted) {
+        entry.log.warn(`🚦 请求队列已满 (${this.queue.length})，拒绝请求`);
+        return this.rejectQueued(entry, '请求队列已满，请稍后重试', 'QUEUE_FULL');
+      }
+      clearTimeout(evicted.timer);
+      evicted.log.warn(`🚦 请求队列已满，被更高优先级 (${entry.priority}) 的请求挤出`);
+      this.rejectQueued(evicted, '请求队列已满，请稍后重试', 'QUEUE_FULL');
+    }
+
+    this.queue.push(entry);
+    this.armQueueTimer(entry);
+
+    this.drainQueue();
+    if (this.queue.find(requestId)) {
+      const waitingFor = this.isConnected() ? '所有连接已满载' : (this.pool.hasPaused() ? '浏览器已暂停' : '等待浏览器重连');
+      entry.log.log(`⏳ ${waitingFor}，请求进入队列 (优先级 ${entry.priority}，队列长度 ${this.queue.length})`);
+    }
+  }
+
+  // 缓存命中与转发的响应一致：同样带 X-Proxy-Model，计入请求 / token 指标和调用方用量 (client 标签为 cache)
+  serveCached(requestSpec, res, adapter, cached) {
+    Logger.log(`💾 缓存命中: ${requestSpec.method} ${requestSpec.path}`, { request_id: requestSpec.request_id });
+    const model = modelFromPath(requestSpec.path);
+    if (model) res.setHeader('X-Proxy-Model', model);
+    const apiKey = res.req && res.req.apiKey;
+    const labels = { model: ModelRouter.metricLabel(requestSpec.path), client: 'cache' };
+    const scanner = new UsageScanner();
+    scanner.push(cached.body, false);
+    Metrics.requests.inc({ ...labels, status: cached.status });
+    Quota.recordRequest(apiKey);
+    this.recordUsage(labels, apiKey, scanner.finish());
+
+    if (adapter) {
+      adapter.onHeaders({ request_id: requestSpec.request_id, status: cached.status, headers: cached.headers });
+      adapter.onChunk({ request_id: requestSpec.request_id, data: cached.body });
+      return adapter.onClose({ request_id: requestSpec.request_id });
+    }
+    ProxyError.copyHeaders(res, cached.headers);
+    res.status(cached.status).end(cached.body);
+  }
+
+  armQueueTimer(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = setTimeout(() => {
+      if (!this.queue.remove(entry)) return;
+      this.queue.stats.expired++;
+      entry.log.warn(`🚦 排队超过 ${CONFIG.QUEUE_MAX_WAIT_MS}ms，放弃请求`);
+      this.rejectQueued(entry, '排队等待超时，请稍后重试', 'QUEUE_WAIT_TIMEOUT');
+    }, CONFIG.QUEUE_MAX_WAIT_MS);
+  }
+
+  // 优先级：x-proxy-priority 头 > QUEUE_KEY_PRIORITIES > normal
+  priorityOf(req) {
+    const requested = req && req.headers['x-proxy-priority'];
+    if (RequestQueue.PRIORITIES.includes(requested)) return requested;
+    return (req && CONFIG.QUEUE_KEY_PRIORITIES[req.apiKey]) || 'normal';
+  }
+
+  // 选出负载最低且未满载的连接，跳过该模型配额冷却中的账号；
+  // 已固定账号的请求只发往该账号 (账号满载时等待)，账号不可用时改固定到新选中的账号
+  selectClient(entry) {
+    const model = modelFromPath(entry.requestSpec.path);
+    const loadOf = clientId => this.loadOf(clientId);
+    const eligible = client => loadOf(client.id) < CONFIG.MAX_CONCURRENT_PER_CLIENT && !this.accounts.exhaustedUntil(client.account, model);
+    const pinned = this.accounts.pinned(entry.stickyKey);
+    const client = pinned && this.accountServes(pinned, model)
+      ? this.pool.select(loadOf, candidate => candidate.account === pinned && eligible(candidate))
+      : this.pool.select(loadOf, eligible);
+    if (client) this.accounts.pin(entry.stickyKey, client.account);
+    return client;
+  }
+
+  // 账号有可用连接，且该模型不在配额冷却期
+  accountServes(account, model) {
+    return !this.accounts.exhaustedUntil(account, model)
+      && [...this.pool.clients.values()].some(client => client.account === account && this.pool.isAvailable(client));
+  }
+
+  // 除 account 以外还有能处理该模型的账号
+  hasOtherAccount(account, model) {
+    return [...this.pool.clients.values()].some(client => client.account !== account && this.accountServes(client.account, model));
+  }
+
+  // 所有在线账号都在该模型的配额冷却期时，返回最早的恢复时间，否则返回 0
+  accountsExhaustedUntil(model) {
+    const accounts = new Set([...this.pool.clients.values()].filter(client => client.ready).map(client => client.account));
+    if (!model || accounts.size === 0) return 0;
+    let earliest = Infinity;
+    for (const account of accounts) {
+      const until = this.accounts.exhaustedUntil(account, model);
+      if (!until) return 0;
+      earliest = Math.min(earliest, until);
+    }
+    return earliest;
+  }
+
+  // 按降级链跳过所有账号都已用尽配额的模型，降级链用完仍不可用时返回最早的恢复时间
+  skipExhaustedModels(entry) {
+    for (;;) {
+      const model = modelFromPath(entry.requestSpec.path);
+      const until = this.accountsExhaustedUntil(model);
+      if (!until || entry.fallbacks.length === 0) return until;
+      const nextModel = entry.fallbacks.shift();
+      entry.log.warn(`🔀 所有账号的 ${model} 配额已用尽，改用降级模型 ${nextModel}`);
+      this.switchModel(entry, nextModel);
+    }
+  }
+
+  // 有空闲连接时按优先级把排队的请求转发出去；固定到满载账号的请求不阻塞后面的请求
+  drainQueue() {
+    for (const entry of [...this.queue.items]) {
+      if (!this.isConnected()) break;
+      const client = this.selectClient(entry);
+      if (!client) continue;
+      this.queue.take(entry);
+      clearTimeout(entry.timer);
+      Metrics.queueWait.observe({ priority: entry.priority }, (Date.now() - entry.enqueuedAt) / 1000);
+      this.send(entry, client);
+    }
+
+    // 连接全部处于冷却期时没有请求结束来触发出队，定时再试
+    if (this.queue.length > 0 && !this.drainTimer) {
+      this.drainTimer = setTimeout(() => {
+        this.drainTimer = null;
+        this.drainQueue();
+      }, 1000);
+    }
+  }
+
+  // 按最近的平均处理时长估算多久后重试
+  retryAfterSeconds() {
+    const capacity = Math.max(1, this.pool.clients.size * CONFIG.MAX_CONCURRENT_PER_CLIENT);
+    const seconds = Math.ceil((this.queue.length / capacity + 1) * (this.avgServiceMs || 1000) / 1000);
+    return Math.min(Math.max(seconds, 1), Math.ceil(CONFIG.QUEUE_MAX_WAIT_MS / 1000));
+  }
+
+  rejectQueued(entry, message, reason) {
+    if (!entry.res.headersSent) entry.res.setHeader('Retry-After', String(this.retryAfterSeconds()));
+    this.failQueued(entry, 429, message, reason);
+  }
+
+  failQueued(entry, status, message, reason) {
+    if (entry.adapter) {
+      return entry.adapter.onError({ request_id: entry.requestSpec.request_id, status, message });
+    }
+    ProxyError.send(entry.res, status, message, reason);
+  }
+
+  describeQueue() {
+    return {
+      ...this.queue.describe(),
+      maxLength: CONFIG.QUEUE_MAX_LENGTH,
+      maxWaitMs: CONFIG.QUEUE_MAX_WAIT_MS,
+      maxConcurrentPerClient: CONFIG.MAX_CONCURRENT_PER_CLIENT,
+      waitingForReconnect: !this.isConnected() && this.inReconnectGrace()
+    };
+  }
+
+  send(entry, client) {
+    const { requestSpec } = entry;
+    client.totalRequests++;
+    this.accounts.state(client.account).requests++;
+
+    const pending = this.track(entry, client);
+    pending.log.log(`📤 转发请求到浏览器: ${requestSpec.method} ${requestSpec.path}`);
+    // 请求内容默认只记录长度，凭据头自动脱敏
+    pending.log.debug('📦 请求规范', { spec: { ...requestSpec, body: Logger.body(requestSpec.body) } });
+    
+    // 发送到浏览器 (大请求体自动分片)
+    const frames = WireFrame.sendSpec(client, this.failoverSpec(entry, client));
+    if (frames > 1) pending.log.log(`📦 请求体较大，已拆分为 ${frames} 个二进制分片发送`);
+  }
+
+  // 还有其他账号或降级模型可以接手时，让浏览器遇到 429 不在原地重试，尽快交给服务端切换
+  // (404 本来就不会重试)
+  failoverSpec(entry, client) {
+    const { requestSpec } = entry;
+    const canSwitch = entry.fallbacks.length > 0 || this.hasOtherAccount(client.account, modelFromPath(requestSpec.path));
+    if (!canSwitch) return requestSpec;
+    return { ...requestSpec, retry_policy: { ...requestSpec.retry_policy, retryQuotaErrors: false } };
+  }
+
+  // 登记待处理请求，之后由 client 返回的事件驱动响应
+  track(entry, client) {
+    const { requestSpec, res, adapter } = entry;
+    const requestId = requestSpec.request_id;
+    const log = entry.log.child({ client: client.label });
+    const model = modelFromPath(requestSpec.path);
+    if (model && !res.headersSent) res.setHeader('X-Proxy-Model', model);
+
+    const pending = {
+      entry,
+      res,
+      adapter,
+      log,
+      method: requestSpec.method,
+      path: requestSpec.path,
+      apiKey: res.req && res.req.apiKey,
+      caller: Auth.maskKey(res.req && res.req.apiKey),
+      priority: entry.priority,
+      startedAt: entry.arrivedAt,
+      dispatchedAt: Date.now(),
+      metricLabels: { model: ModelRouter.metricLabel(requestSpec.path), client: client.label },
+      bytes: 0,
+      usage: new UsageScanner(),
+      cacheKey: entry.cacheKey,
+      cacheBody: '',
+      recording: Cassette.start(requestSpec),
+      clientId: client.id,
+      headersSent: false,
+      timeout: setTimeout(() => {
+        if (this.cancelRequest(requestId, 'timeout')) {
+          if (adapter) {
+            adapter.onError({ request_id: requestId, status: 504, message: 'Request timeout' });
+          } else {
+            this.sendPendingError(pending, 504, 'Request timeout', 'REQUEST_TIMEOUT');
+          }
+        }
+      }, CONFIG.REQUEST_TIMEOUT_MS) // 默认 10 分钟
+    };
+    this.pendingRequests.set(requestId, pending);
+    return pending;
+  }
+
+  // 回放模式：按录制的顺序 (original 时还有间隔) 把事件重新交给处理流程；没有匹配时严格模式返回 404，否则照常转发
+  replay(entry) {
+    if (CONFIG.CASSETTE_MODE !== 'replay') return false;
+    const { requestSpec } = entry;
+    const requestId = requestSpec.request_id;
+    const cassette = Cassette.find(requestSpec);
+    if (!cassette) {
+      if (!CONFIG.CASSETTE_STRICT) return false;
+      const message = `没有匹配的录制: ${requestSpec.method} ${requestSpec.path}`;
+      entry.log.warn(`📼 ${message}`);
+      this.failQueued(entry, 404, message, 'CASSETTE_NOT_FOUND');
+      return true;
+    }
+
+    const pending = this.track(entry, Cassette.CLIENT);
+    pending.log.log(`📼 回放录制: ${requestSpec.method} ${requestSpec.path} (${cassette.events.length} 个事件，${CONFIG.CASSETTE_TIMING === 'fast' ? '全速' : '原始节奏'})`);
+    const startedAt = Date.now();
+    const step = index => {
+      const item = cassette.events[index];
+      if (!item || this.pendingRequests.get(requestId) !== pending) return;
+      const delay = CONFIG.CASSETTE_TIMING === 'fast' ? 0 : Math.max(0, startedAt + item.offsetMs - Date.now());
+      setTimeout(() => {
+        if (this.pendingRequests.get(requestId) !== pending) return;
+        this.routeEvent({ ...item.event, request_id: requestId }, pending);
+        step(index + 1);
+      }, delay);
+    };
+    step(0);
+    return true;
+  }
+
+  // 待处理请求当前所处阶段
+  phaseOf(pending) {
+    if (pending.firstChunkAt) return 'streaming';
+    if (pending.headersAt) return 'headers_received';
+    return 'dispatched';
+  }
+
+  // owner：只列出该调用方发起的请求，null 表示不限
+  describePendingRequests(owner = null) {
+    const now = Date.now();
+    const queued = this.queue.items.filter(entry => !owner || (entry.res.req && entry.res.req.apiKey === owner)).map(entry => ({
+      id: entry.requestSpec.request_id,
+      client: null,
+      caller: Auth.maskKey(entry.res.req && entry.res.req.apiKey),
+      model: modelFromPath(entry.requestSpec.path) || 'unknown',
+      method: entry.requestSpec.method,
+      path: entry.requestSpec.path,
+      priority: entry.priority,
+      phase: 'queued',
+      age_ms: now - entry.enqueuedAt,
+      bytes: 0
+    }));
+    const pendingEntries = [...this.pendingRequests.entries()].filter(([, pending]) => !owner || pending.apiKey === owner);
+    return queued.concat(pendingEntries.map(([requestId, pending]) => {
+      const client = this.pool.get(pending.clientId);
+      return {
+        id: requestId,
+        client: client ? client.label : pending.clientId,
+        caller: pending.caller,
+        model: modelFromPath(pending.path) || 'unknown',
+        method: pending.method,
+        path: pending.path,
+        priority: pending.priority,
+        phase: this.phaseOf(pending),
+        age_ms: now - pending.startedAt,
+        bytes: pending.bytes
+      };
+    }));
+  }
+
+  // 管理员取消：结束 HTTP 响应并通知浏览器中止
+  // owner：只取消该调用方发起的请求，null 表示不限
+  abortRequest(requestId, owner = null) {
+    const message = '请求已被管理员取消';
+    const ownedBy = res => !owner || Boolean(res.req && res.req.apiKey === owner);
+    const entry = this.queue.find(requestId);
+    if (entry) {
+      if (!ownedBy(entry.res)) return false;
+      this.queue.remove(entry);
+      clearTimeout(entry.timer);
+      entry.log.warn('🛑 排队中的请求已被管理员取消');
+      if (entry.adapter) {
+        entry.adapter.onError({ request_id: requestId, status: 499, message });
+      } else {
+        ProxyError.send(entry.res, 499, message, 'ADMIN_CANCELLED');
+      }
+      return true;
+    }
+
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending || !ownedBy(pending.res) || !this.cancelRequest(requestId, 'admin_cancelled')) return false;
+
+    pending.log.warn('🛑 请求已被管理员取消');
+    if (pending.adapter) {
+      pending.adapter.onError({ request_id: requestId, status: 499, message });
+    } else {
+      this.sendPendingError(pending, 499, message, 'ADMIN_CANCELLED');
+    }
+    return true;
+  }
+
+  // 移除待处理请求并通知对应浏览器中止 fetch 与流读取
+  cancelRequest(requestId, reason = 'cancelled') {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) return false;
+
+    clearTimeout(pending.timeout);
+    this.pendingRequests.delete(requestId);
+    this.recordCompletion(pending, reason);
+
+    const client = this.pool.get(pending.clientId);
+    if (client && client.ws.readyState === 1) {
+      client.ws.send(JSON.stringify({ request_id: requestId, event_type: 'cancel' }));
+    }
+    return true;
+  }
+  
+  handleBrowserMessage(data, client, isBinary = false) {
+    try {
+      let message;
+      if (isBinary) {
+        const frame = BinaryFrame.decode(data);
+        message = { ...frame.header, payload: frame.payload, valid: frame.valid };
+      } else {
+        message = JSON.parse(data.toString());
+      }
+      client.lastSeenAt = Date.now();
+
+      // 连接层消息
+      switch (message.event_type) {
+        case 'hello':
+          return this.handleHello(message, client);
+        case 'ping':
+          return client.ws.send(JSON.stringify({ event_type: 'pong', ts: message.ts }));
+        case 'pong':
+          client.latencyMs = Date.now() - message.ts;
+          return;
+      }
+      if (!client.ready) {
+        Logger.warn(`连接 ${client.label} 未完成握手，忽略消息`);
+        return;
+      }
+      if (message.event_type === 'pause') {
+        return this.handlePause(message, client);
+      }
+
+      const requestId = message.request_id;
+      
+      if (!requestId || !this.pendingRequests.has(requestId)) {
+        Logger.warn('收到未知请求ID的响应:', requestId);
+        return;
+      }
+      
+      const pending = this.pendingRequests.get(requestId);
+      if (pending.clientId !== client.id) {
+        Logger.error(`连接 ${client.label} 返回了不属于它的请求: ${requestId}`);
+        return;
+      }
+      
+      this.routeEvent(message, pending);
+    } catch (error) {
+      Logger.error('处理浏览器消息失败:', error.message);
+    }
+  }
+
+  // 浏览器控制面板暂停 / 恢复：暂停期间不再向该连接分发新请求，进行中的请求不受影响
+  handlePause(message, client) {
+    client.paused = message.paused === true;
+    if (client.paused) {
+      Logger.warn(`⏸️ ${client.label} 已暂停接收新请求`);
+    } else {
+      Logger.log(`▶️ ${client.label} 已恢复接收请求`);
+      this.drainQueue();
+    }
+  }
+
+  // 请求事件 (来自浏览器或录制回放)
+  routeEvent(message, pending) {
+    switch (message.event_type) {
+      case 'response_headers':
+        this.handleResponseHeaders(message, pending);
+        break;
+        
+      case 'chunk':
+        if (message.payload) {
+          this.handleBinaryChunk(message, pending);
+        } else {
+          this.handleChunk(message, pending);
+        }
+        break;
+        
+      case 'stream_close':
+        this.handleStreamClose(message, pending);
+        break;
+        
+      case 'error':
+        this.handleError(message, pending);
+        break;
+        
+      default:
+        Logger.log('未知事件类型:', message.event_type);
+    }
+  }
+  
+  // 重置空闲超时（默认 5 分钟：如果 5 分钟内没有新字吐出来，才算超时）
+  // 通常这时响应头已经发出，错误写在流的末尾 (JSON 数组照常闭合，翻译后的流发送错误事件)
+  armIdleTimeout(requestId, pending) {
+    clearTimeout(pending.timeout);
+    pending.timeout = setTimeout(() => {
+      if (!this.cancelRequest(requestId, 'timeout')) return;
+      pending.log.error('请求长时间无数据传输，判定超时');
+      if (pending.adapter) {
+        pending.adapter.onError({ request_id: requestId, status: 504, message: '请求长时间无数据传输' });
+      } else {
+        this.sendPendingError(pending, 504, '请求长时间无数据传输', 'IDLE_TIMEOUT');
+      }
+    }, CONFIG.IDLE_TIMEOUT_MS);
+  }
+
+  // 1. 替换 handleResponseHeaders 方法
+  handleResponseHeaders(message, pending) {
+      // 到头也重置计时器 ---
+    if (pending.timeout) {
+      this.armIdleTimeout(message.request_id, pending);
+    }
+
+    Cassette.record(pending, message);
+
+    // 记录响应头耗时与浏览器报告的重试次数
+    pending.headersAt = Date.now();
+    pending.attempts = message.attempts;
+    pending.isSSE = /text\/event-stream/i.test(Object.entries(message.headers || {})
+      .filter(([key]) => key.toLowerCase() === 'content-type')
+      .map(([, value]) => value)
+      .join(''));
+    Metrics.timeToHeaders.observe(pending.metricLabels, (pending.headersAt - pending.startedAt) / 1000);
+
+    // 上游 5xx 视为该连接失败
+    pending.status = message.status;
+    pending.responseHeaders = message.headers;
+    if (message.status >= 500) {
+      this.pool.recordFailure(pending.clientId);
+    }
+
+    // 协议翻译请求交给适配器处理
+    if (pending.adapter) {
+      pending.headersSent = true;
+      return pending.adapter.onHeaders(message);
+    }
+
+    if (pending.headersSent) {
+        pending.log.warn('尝试设置响应头，但头已发送');
+        return;
+    }
+    
+    pending.log.debug('📥 收到浏览器响应头', { status: message.status, headers: message.headers });
+
+    // 设置状态码
+    pending.res.status(message.status);
+    
+    // 设置响应头 (排除掉可能引起问题的传输头)
+    ProxyError.copyHeaders(pending.res, message.headers);
+
+    // 流式响应：解析上游事件后按客户端要求的格式 (sse / json) 输出，Content-Type 随之确定
+    const streamFormat = pending.res.locals && pending.res.locals.streamFormat;
+    if (streamFormat && message.status === 200) {
+      const writer = new GeminiStreamWriter(pending.res, streamFormat);
+      pending.stream = { writer, parser: new GeminiStreamParser(event => writer.write(event)) };
+      writer.start();
+    }
+
+    pending.headersSent = true;
+    pending.log.log('📥 响应头已处理并发送给客户端', {
+      status: message.status,
+      elapsed_ms: Date.now() - pending.startedAt
+    });
+  }
   
-  error(...args) {
-    const timestamp = new Date().toLocaleString('zh-CN', { hour12: false });
-    console.error(`[${timestamp}] ❌`, ...args);
-  },
+  // 2. 替换 handleChunk 方法
+  handleChunk(message, pending) {
+
+    // 心跳保活逻辑 
+    // 每次收到 chunk，说明连接还活着，清除旧的超时定时器，重新计时
+    this.armIdleTimeout(message.request_id, pending);
+
+    // 协议要求先发 response_headers，旧版浏览器脚本可能不遵守，此时按 200 处理
+    if (!pending.headersAt) {
+      pending.log.warn('在收到响应头之前收到了数据块，按 200 处理');
+      this.handleResponseHeaders({ request_id: message.request_id, status: 200, headers: {} }, pending);
+    }
+    Cassette.record(pending, message);
+
+    if (!pending.firstChunkAt) {
+      pending.firstChunkAt = Date.now();
+      Metrics.timeToFirstChunk.observe(pending.metricLabels, (pending.firstChunkAt - pending.startedAt) / 1000);
+    }
+    if (message.data) {
+      pending.bytes += Buffer.byteLength(message.data);
+      pending.usage.push(message.data, pending.isSSE);
+      if (pending.cacheKey) pending.cacheBody += message.data;
+    }
+
+    if (pending.adapter) {
+      return pending.adapter.onChunk(message);
+    }
+
+    if (message.data) {
+        pending.log.debug('📦 数据块', { bytes: Buffer.byteLength(message.data), data: Logger.body(message.data) });
+    }
+    // 写入数据块 (流式响应经解析器按事件写出)
+    if (pending.stream) {
+      pending.stream.parser.push(message.data || '');
+    } else {
+      pending.res.write(message.data);
+    }
+  }
   
-  success(...args) {
-    const timestamp = new Date().toLocaleString('zh-CN', { hour12: false });
-    console.log(`[${timestamp}] ✅`, ...args);
+  // 二进制分片：校验序号与 CRC32 后按 UTF-8 流式解码，再走普通 chunk 流程
+  handleBinaryChunk(message, pending) {
+    const expected = pending.nextSeq || 0;
+    if (!message.valid || message.seq !== expected) {
+      const reason = message.valid ? `分片序号错误: 期望 ${expected}，收到 ${message.seq}` : `分片 ${message.seq} CRC 校验失败`;
+      pending.log.error(`📦 响应数据完整性校验失败: ${reason}`);
+      if (!this.cancelRequest(message.request_id, 'integrity_error')) return;
+      const errorMessage = `响应数据传输损坏: ${reason}`;
+      if (pending.adapter) {
+        pending.adapter.onError({ request_id: message.request_id, status: 502, message: errorMessage });
+      } else {
+        this.sendPendingError(pending, 502, errorMessage, 'FRAME_INTEGRITY_ERROR');
+      }
+      return;
+    }
+
+    pending.nextSeq = expected + 1;
+    if (!pending.decoder) pending.decoder = new StringDecoder('utf8');
+    this.handleChunk({ request_id: message.request_id, event_type: 'chunk', data: pending.decoder.write(message.payload) }, pending);
   }
-};
 
-// HTTP 服务器
-class HTTPServer {
-  constructor(proxyManager) {
-    this.app = express();
-    this.proxyManager = proxyManager;
-    this.setupMiddleware();
-    this.setupRoutes();
+  handleStreamClose(message, pending) {
+    // 二进制分片中被截断的多字节字符
+    if (pending.decoder) {
+      const rest = pending.decoder.end();
+      if (rest) this.handleChunk({ request_id: message.request_id, event_type: 'chunk', data: rest }, pending);
+    }
+    Cassette.record(pending, message);
+    Cassette.save(pending);
+
+    pending.log.success('请求完成', { status: pending.status, duration_ms: Date.now() - pending.startedAt });
+    if (!(pending.status >= 500)) {
+      this.pool.recordSuccess(pending.clientId);
+    }
+    
+    // 清理超时定时器
+    if (pending.timeout) {
+      clearTimeout(pending.timeout);
+    }
+    
+    // 结束响应
+    if (pending.adapter) {
+      pending.adapter.onClose(message);
+    } else if (pending.stream) {
+      pending.stream.parser.flush();
+      pending.stream.writer.end();
+    } else {
+      if (!pending.res.headersSent) {
+        pending.res.status(200);
+      }
+      pending.res.end();
+    }
+    
+    // 成功的可缓存响应写入缓存
+    if (pending.cacheKey && pending.status === 200) {
+      this.cache.set(pending.cacheKey, {
+        path: pending.path,
+        status: pending.status,
+        headers: pending.responseHeaders,
+        body: pending.cacheBody
+      });
+    }
+
+    // 清理待处理请求
+    this.pendingRequests.delete(message.request_id);
+    this.recordCompletion(pending, pending.status || 200);
   }
   
-  setupMiddleware() {
-    // 解析 JSON body
-    this.app.use(express.json({ limit: '50mb' }));
-    this.app.use(express.text({ type: 'text/plain', limit: '50mb' }));
+  // 账号配额不足 (429)：该模型在重置时间前不再分发到这个账号；
+  // 客户端尚未收到任何数据且有其他账号可用时，换账号重试
+  tryAccountFailover(message, pending) {
+    const client = this.pool.get(pending.clientId);
+    const model = modelFromPath(pending.entry.requestSpec.path);
+    if (message.status !== 429 || message.body === undefined || !client || !model) return false;
+
+    const until = this.accounts.markExhausted(client.account, model, message);
+    pending.log.warn(`🪫 账号 ${client.account} 的 ${model} 配额不足，${new Date(until).toISOString()} 前不再分发`);
+    const { entry, res } = pending;
+    if (res.headersSent || res.writableEnded || !this.hasOtherAccount(client.account, model)) return false;
+
+    clearTimeout(pending.timeout);
+    this.pendingRequests.delete(message.request_id);
+    if (message.attempts) pending.attempts = message.attempts;
+    this.recordCompletion(pending, message.status);
+
+    pending.log.warn('🔀 改用其他账号重试');
+    entry.enqueuedAt = Date.now();
+    this.queue.push(entry, true);
+    this.armQueueTimer(entry);
+    this.drainQueue();
+    return true;
+  }
+
+  // 配额不足或模型不存在，且客户端尚未收到任何数据时，换用降级链中的下一个模型
+  tryFallback(message, pending) {
+    const { entry, res } = pending;
+    if (![404, 429].includes(message.status) || message.body === undefined) return false;
+    if (entry.fallbacks.length === 0 || res.headersSent || res.writableEnded) return false;
+
+    const failedModel = modelFromPath(entry.requestSpec.path);
+    const nextModel = entry.fallbacks.shift();
+    clearTimeout(pending.timeout);
+    this.pendingRequests.delete(message.request_id);
+    if (message.attempts) pending.attempts = message.attempts;
+    this.recordCompletion(pending, message.status);
+
+    pending.log.warn(`🔀 模型 ${failedModel} 返回 ${message.status}，改用降级模型 ${nextModel}`);
+    this.switchModel(entry, nextModel);
+    if (this.replay(entry)) return true;
+    entry.enqueuedAt = Date.now();
+    this.queue.push(entry, true);
+    this.armQueueTimer(entry);
+    this.drainQueue();
+    return true;
+  }
+
+  // 改用降级模型：缓存键按新模型重新计算，避免降级模型的响应被当作原模型的结果缓存
+  // (录制在转发时按新的请求规范开始，键自然对应降级模型)
+  switchModel(entry, nextModel) {
+    entry.requestSpec = { ...entry.requestSpec, path: ModelRouter.replaceModel(entry.requestSpec.path, nextModel) };
+    entry.log = entry.log.child({ model: nextModel });
+    if (entry.cacheKey) entry.cacheKey = this.cache.keyOf(entry.requestSpec);
+  }
+
+  handleError(message, pending) {
+    // 浏览器在暂停通知到达之前收到的请求没有执行，放回队列交给其他连接
+    if (message.reason === 'CLIENT_PAUSED' && !pending.res.headersSent) {
+      const client = this.pool.get(pending.clientId);
+      if (client) client.paused = true;
+      clearTimeout(pending.timeout);
+      this.pendingRequests.delete(message.request_id);
+      pending.log.warn('⏸️ 浏览器已暂停，请求重新排队');
+      this.requeue(pending.entry);
+      return this.drainQueue();
+    }
+
+    Cassette.record(pending, message);
+    Cassette.save(pending);
+    if (this.tryAccountFailover(message, pending)) return;
+    if (this.tryFallback(message, pending)) return;
+
+    pending.log.error('请求错误:', message.message, {
+      status: message.status,
+      duration_ms: Date.now() - pending.startedAt
+    });
+    // 上游 4xx 是请求本身的问题，控制面板手动取消也不是连接故障，都不计入该连接的失败次数
+    if (message.reason !== 'OPERATOR_CANCELLED' && (message.body === undefined || message.status >= 500)) {
+      this.pool.recordFailure(pending.clientId);
+    }
     
-    // CORS 支持
-    this.app.use((req, res, next) => {
-      res.header('Access-Control-Allow-Origin', '*');
-      res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-      res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-      
-      if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
+    // 清理超时定时器
+    if (pending.timeout) {
+      clearTimeout(pending.timeout);
+    }
+    
+    // 发送错误响应
+    if (pending.adapter) {
+      pending.adapter.onError(message);
+    } else if (message.body !== undefined && !pending.res.headersSent) {
+      // 上游返回的非 2xx：状态码、响应头与错误体原样透传
+      ProxyError.copyHeaders(pending.res, message.headers);
+      if (ProxyError.isGoogleShaped(message.body)) {
+        pending.res.status(message.status).send(message.body);
+      } else {
+        pending.res.removeHeader('content-type');
+        pending.res.status(message.status).json(ProxyError.body(message.status, message.body || `HTTP ${message.status}`, 'UPSTREAM_ERROR'));
       }
-      next();
-    });
+    } else {
+      this.sendPendingError(pending, message.status || 500, message.message, message.reason || 'PROXY_INTERNAL');
+    }
     
-    // 请求日志
-    this.app.use((req, res, next) => {
-      Logger.log(`📨 HTTP请求: ${req.method} ${req.path}`);
-      next();
+    // 清理待处理请求
+    this.pendingRequests.delete(message.request_id);
+    if (message.attempts) pending.attempts = message.attempts;
+    this.recordCompletion(pending, message.status || 'error');
+  }
+
+  // 已转发请求的代理错误：流式响应已经开始时交给 GeminiStreamWriter 收尾，否则返回 Google 格式错误
+  sendPendingError(pending, status, message, reason) {
+    if (pending.stream) return pending.stream.writer.fail(ProxyError.body(status, message, reason));
+    ProxyError.send(pending.res, status, message, reason);
+  }
+
+  // token 指标，并把 token 计入调用方当日用量
+  recordUsage(labels, apiKey, usage) {
+    if (!usage) return;
+    const tokenTypes = {
+      prompt: usage.promptTokenCount,
+      candidates: usage.candidatesTokenCount,
+      thoughts: usage.thoughtsTokenCount,
+      cached: usage.cachedContentTokenCount,
+      total: usage.totalTokenCount
+    };
+    Object.entries(tokenTypes).forEach(([type, count]) => {
+      if (count) Metrics.tokens.inc({ ...labels, type }, count);
     });
+    Quota.recordTokens(apiKey, usage.totalTokenCount);
+  }
+
+  // 请求结束 (完成 / 出错 / 取消 / 超时) 时记录指标，返回解析到的 usageMetadata
+  recordCompletion(pending, status) {
+    const labels = pending.metricLabels;
+    if (pending.stream) pending.stream.writer.stop();
+    const usage = pending.usage.finish();
+
+    Metrics.requests.inc({ ...labels, status });
+    Metrics.duration.observe(labels, (Date.now() - pending.startedAt) / 1000);
+    if (pending.bytes > 0) Metrics.bytes.inc(labels, pending.bytes);
+    if (pending.attempts > 1) Metrics.retries.inc(labels, pending.attempts - 1);
+
+    this.recordUsage(labels, pending.apiKey, usage);
+
+    // 平滑的单请求处理时长，用于估算 Retry-After
+    const serviceMs = Date.now() - pending.dispatchedAt;
+    this.avgServiceMs = this.avgServiceMs ? this.avgServiceMs * 0.8 + serviceMs * 0.2 : serviceMs;
+
+    // 连接空出来后继续处理排队的请求
+    this.drainQueue();
+    return usage;
   }
   
-  setupRoutes() {
-    // 健康检查
-    this.app.get('/health', (req, res) => {
-      res.json({
-        status: 'ok',
-        browserConnected: this.proxyManager.isConnected(),
-        timestamp: new Date().toISOString()
-      });
-    });
+  sanitizeHeaders(headers) {
+    const sanitized = { ...headers };
     
-    // 代理所有请求 - 使用中间件方式
-    this.app.use(async (req, res, next) => {
-      // 跳过 /health 路径
-      if (req.path === '/health') {
-        return next();
+    // 删除不应该转发的头
+    delete sanitized.host;
+    delete sanitized.connection;
+    delete sanitized['content-length'];
+    // 调用方密钥只用于代理鉴权，不能发给 Google
+    delete sanitized.authorization;
+    delete sanitized['x-goog-api-key'];
+    delete sanitized['x-api-key'];
+    // 代理内部使用的头
+    delete sanitized['x-proxy-profile'];
+    delete sanitized['x-proxy-priority'];
+    delete sanitized['x-proxy-cache'];
+    delete sanitized['x-proxy-session'];
+    
+    return sanitized;
+  }
+}
+
+// SSE 数据行解析器 (处理被截断在两个 chunk 之间的行)
+class SSEParser {
+  constructor(onEvent) {
+    this.buffer = '';
+    this.onEvent = onEvent;
+  }
+
+  push(text) {
+    this.buffer += text;
+    const lines = this.buffer.split(/\r?\n/);
+    this.buffer = lines.pop();
+    lines.forEach(line => this._handleLine(line));
+  }
+
+  flush() {
+    if (this.buffer) {
+      this._handleLine(this.buffer);
+      this.buffer = '';
+    }
+  }
+
+  _handleLine(line) {
+    if (!line.startsWith('data:')) return;
+    const payload = line.slice(5).trim();
+    if (!payload || payload === '[DONE]') return;
+    try {
+      this.onEvent(JSON.parse(payload));
+    } catch (e) {
+      Logger.error('解析 SSE 数据失败:', e.message);
+    }
+  }
+}
+
+// Gemini 流式响应解析：自动识别 SSE (alt=sse) 与 JSON 数组流 ([{...},\r\n{...}])，
+// 只在事件完整时回调，不受浏览器分块边界影响
+class GeminiStreamParser {
+  constructor(onEvent) {
+    this.onEvent = onEvent;
+    this.format = null;
+    this.sse = new SSEParser(onEvent);
+    this.head = '';     // 识别格式之前收到的数据
+    this.element = '';  // JSON 数组中尚未结束的元素
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+  }
+
+  push(text) {
+    if (!this.format) {
+      this.head += text;
+      const first = this.head.trimStart()[0];
+      if (!first) return;
+      this.format = first === '[' ? 'json' : 'sse';
+      text = this.head;
+      this.head = '';
+    }
+    if (this.format === 'sse') {
+      this.sse.push(text);
+    } else {
+      this._scanJson(text);
+    }
+  }
+
+  flush() {
+    if (this.format === 'sse') this.sse.flush();
+  }
+
+  // 跟踪括号深度与字符串状态，深度回到 1 (最外层数组) 时得到一个完整元素
+  _scanJson(text) {
+    let start = this.depth > 1 ? 0 : -1;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (ch === '\\') {
+          this.escaped = true;
+        } else if (ch === '"') {
+          this.inString = false;
+        }
+        continue;
       }
-      
-      try {
-        await this.proxyManager.forwardRequest(req, res);
-      } catch (error) {
-        Logger.error('请求处理失败:', error.message);
-        if (!res.headersSent) {
-          res.status(500).json({
-            error: 'Proxy error',
-            message: error.message
-          });
+      if (ch === '"') {
+        this.inString = true;
+      } else if (ch === '{' || ch === '[') {
+        this.depth++;
+        if (this.depth === 2) start = i;
+      } else if (ch === '}' || ch === ']') {
+        this.depth--;
+        if (this.depth === 1) {
+          this._emit(this.element + text.slice(start, i + 1));
+          this.element = '';
+          start = -1;
         }
       }
-    });
+    }
+    if (start !== -1) this.element += text.slice(start);
   }
-  
+
+  _emit(json) {
+    try {
+      this.onEvent(JSON.parse(json));
+    } catch (e) {
+      Logger.error('解析 JSON 流数据失败:', e.message);
+    }
+  }
+}
+
+// SSE 流的写出与保活：超过 STREAM_KEEPALIVE_MS 没有写出数据时发送注释行
+// (思考模型在输出第一个 token 前可能沉默很久，部分客户端会因此断开)；流结束或连接关闭时停止
+class StreamKeepAlive {
+  constructor(res) {
+    this.res = res;
+    this.lastWriteAt = Date.now();
+    this.timer = null;
+  }
+
   start() {
-    return new Promise((resolve) => {
-      this.server = this.app.listen(CONFIG.HTTP_PORT, () => {
-        Logger.success(`HTTP服务启动成功: http://127.0.0.1:${CONFIG.HTTP_PORT}`);
-        resolve();
-      });
-    });
+    if (!(CONFIG.STREAM_KEEPALIVE_MS > 0)) return;
+    this.res.flushHeaders();
+    this.timer = setInterval(() => {
+      if (this.res.writableEnded) return this.stop();
+      if (Date.now() - this.lastWriteAt >= CONFIG.STREAM_KEEPALIVE_MS) this.write(': keep-alive\n\n');
+    }, Math.min(CONFIG.STREAM_KEEPALIVE_MS, 5000));
+    this.res.on('close', () => this.stop());
+  }
+
+  write(text) {
+    this.lastWriteAt = Date.now();
+    this.res.write(text);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
   }
 }
 
-// WebSocket 代理管理器
-class ProxyManager {
-  constructor() {
-    this.browserClient = null;
-    this.pendingRequests = new Map();
-    this.requestIdCounter = 0;
+// 按客户端要求的格式 (sse / json 数组) 写出流式事件，SSE 格式由 StreamKeepAlive 保活
+class GeminiStreamWriter {
+  constructor(res, format) {
+    this.res = res;
+    this.format = format;
+    this.count = 0;
+    this.output = new StreamKeepAlive(res);
   }
-  
-  isConnected() {
-    return this.browserClient !== null && this.browserClient.readyState === 1; // OPEN
+
+  start() {
+    this.res.setHeader('Content-Type', this.format === 'sse' ? 'text/event-stream' : 'application/json');
+    this.res.setHeader('Cache-Control', 'no-cache');
+    if (this.format === 'json') {
+      this.output.write('[');
+    } else {
+      this.output.start();
+    }
   }
-  
-setupWebSocket() {
-    // 修改这里：增加 maxPayload 限制，并关闭压缩以提高大文本传输稳定性
-    this.wss = new WebSocketServer({ 
-        port: CONFIG.WS_PORT,
-        maxPayload: 100 * 1024 * 1024, // 设置最大允许 100MB 的数据包 (足够应对超长 Prompt)
-        perMessageDeflate: false       // 关闭压缩 (有些网络环境下压缩大包会导致连接断开)
-    });
-    
-    this.wss.on('connection', (ws) => {
-      Logger.success('🔗 浏览器客户端已连接');
-      
-      // 增加错误处理，防止个别连接报错导致整个服务崩溃
-      ws.on('error', (err) => {
-          Logger.error('❌ WebSocket 连接发生错误:', err.message);
-      });
 
-      this.browserClient = ws;
-      
-      ws.on('message', (data) => {
-        this.handleBrowserMessage(data);
-      });
-      
-      ws.on('close', () => {
-        Logger.log('❌ 浏览器客户端断开连接');
-        this.browserClient = null;
-        
-        // 清理所有待处理的请求
-        this.pendingRequests.forEach((pending) => {
-          if (!pending.res.headersSent) {
-            pending.res.status(502).json({
-              error: 'Browser disconnected',
-              message: '浏览器连接在处理请求时断开，可能是请求内容过长导致'
-            });
-          }
-        });
-        this.pendingRequests.clear();
-      });
+  write(event) {
+    const json = JSON.stringify(event);
+    if (this.format === 'sse') {
+      this._write(`data: ${json}\r\n\r\n`);
+    } else {
+      this._write(`${this.count > 0 ? ',\r\n' : ''}${json}`);
+    }
+    this.count++;
+  }
+
+  end() {
+    this.stop();
+    if (this.format === 'json') this._write(']');
+    this.res.end();
+  }
+
+  // 流中途出错：错误作为最后一个元素 / 事件写出 (与 Gemini 在流中报告错误的方式一致)，JSON 数组照常闭合
+  fail(errorBody) {
+    if (this.res.writableEnded) return this.stop();
+    this.write(errorBody);
+    this.end();
+  }
+
+  stop() {
+    this.output.stop();
+  }
+
+  _write(text) {
+    this.output.write(text);
+  }
+}
+
+// 构建 generateContent / streamGenerateContent 请求
+function buildGeminiRequest(model, stream, body) {
+  const modelName = String(model).replace(/^models\//, '');
+  const method = stream ? 'streamGenerateContent' : 'generateContent';
+  return {
+    path: `/v1beta/models/${modelName}:${method}`,
+    query_params: stream ? { alt: 'sse' } : {},
+    body
+  };
+}
+
+// 从 /v1beta/models/{model}:method 中取出模型名
+function modelFromPath(requestPath) {
+  const match = /\/models\/([^/:]+)/.exec(requestPath || '');
+  return match ? match[1] : undefined;
+}
+
+// Gemini 响应解析工具
+const GeminiResponse = {
+  // 从 candidate 中分离正文与思考内容
+  splitParts(candidate) {
+    const result = { text: '', thought: '' };
+    const parts = (candidate && candidate.content && candidate.content.parts) || [];
+    parts.forEach(part => {
+      if (typeof part.text !== 'string') return;
+      if (part.thought) {
+        result.thought += part.text;
+      } else {
+        result.text += part.text;
+      }
     });
-    
-    Logger.success(`WebSocket服务启动成功: ws://127.0.0.1:${CONFIG.WS_PORT}`);
+    return result;
+  },
+
+  // 从 data: URL 或普通 URL 构建 Gemini 图片 part
+  imagePart(url) {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(url || '');
+    if (match) {
+      return { inlineData: { mimeType: match[1], data: match[2] } };
+    }
+    const ext = (String(url).split('?')[0].split('.').pop() || '').toLowerCase();
+    const mimeTypes = { png: 'image/png', gif: 'image/gif', webp: 'image/webp', heic: 'image/heic' };
+    return { fileData: { mimeType: mimeTypes[ext] || 'image/jpeg', fileUri: url } };
+  },
+
+  // 解析 Google 风格的错误响应体
+  parseError(status, text) {
+    try {
+      const parsed = JSON.parse(text);
+      const error = Array.isArray(parsed) ? parsed[0].error : parsed.error;
+      if (error) return { code: error.code || status, message: error.message, status: error.status };
+    } catch (e) {
+      // 非 JSON 错误体
+    }
+    return { code: status, message: text || `HTTP ${status}`, status: 'UNKNOWN' };
   }
-  
-async forwardRequest(req, res) {
-    if (!this.isConnected()) {
-      return res.status(503).json({
-        error: 'Browser not connected',
-        message: '浏览器代理未连接，请运行 g-browser.js'
+};
+
+// OpenAI Chat Completions 兼容层
+const OpenAICompat = {
+  FINISH_REASONS: {
+    STOP: 'stop',
+    MAX_TOKENS: 'length',
+    SAFETY: 'content_filter',
+    RECITATION: 'content_filter',
+    BLOCKLIST: 'content_filter',
+    PROHIBITED_CONTENT: 'content_filter',
+    SPII: 'content_filter'
+  },
+
+  ROLES: ['system', 'developer', 'user', 'assistant', 'tool', 'function'],
+
+  // 转换前校验 messages 结构，返回错误说明 (通过时为 null)
+  validate(body) {
+    if (!body.model || !Array.isArray(body.messages)) return 'model 和 messages 为必填字段';
+    for (const [index, message] of body.messages.entries()) {
+      if (!message || typeof message !== 'object' || Array.isArray(message)) return `messages[${index}] 必须是对象`;
+      if (!this.ROLES.includes(message.role)) return `messages[${index}].role 无效: ${message.role}`;
+      const content = message.content;
+      if (content === null || content === undefined || typeof content === 'string') continue;
+      if (!Array.isArray(content)) return `messages[${index}].content 必须是字符串或数组`;
+      const badPart = content.findIndex(part => {
+        if (!part || typeof part !== 'object') return true;
+        if (part.type === 'text') return typeof part.text !== 'string';
+        if (part.type === 'image_url') {
+          return !(typeof part.image_url === 'string' || (part.image_url && typeof part.image_url.url === 'string'));
+        }
+        return false;
       });
+      if (badPart !== -1) return `messages[${index}].content[${badPart}] 格式无效`;
     }
-    
-    const requestId = `req_${++this.requestIdCounter}_${Date.now()}`;
+    return null;
+  },
 
-    let targetPath = req.path;
-    // 检测并修复 /models/models/ 的情况  （兼容rikkahub）
-    if (targetPath.includes('/models/models/')) {
-        Logger.log(`⚠️ 检测到路径重复，正在自动修正: ${targetPath}`);
-        targetPath = targetPath.replace('/models/models/', '/models/');
-        Logger.log(`🔧 修正后的路径: ${targetPath}`);
-    }
-    
-    // ---  参数清洗逻辑 (移除 API Key) （兼容rikkahub）---
-    const targetQuery = { ...req.query };
-    if (targetQuery.key) {
-        delete targetQuery.key;
+  // OpenAI 请求 -> Gemini 请求 ({ path, query_params, body })
+  toGeminiRequest(body) {
+    return buildGeminiRequest(body.model, body.stream, this.toGeminiBody(body));
+  },
+
+  // OpenAI messages -> Gemini generateContent body
+  toGeminiBody(body) {
+    const contents = [];
+    const systemParts = [];
+
+    (body.messages || []).forEach(message => {
+      const parts = this._convertContent(message.content);
+      if (message.role === 'system' || message.role === 'developer') {
+        systemParts.push(...parts.filter(part => part.text !== undefined));
+        return;
+      }
+      if (parts.length === 0) return;
+
+      // Gemini 要求 user / model 交替出现，合并相邻的同角色消息
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) {
+        last.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    });
+
+    const generationConfig = {};
+    if (body.temperature !== undefined) generationConfig.temperature = body.temperature;
+    if (body.top_p !== undefined) generationConfig.topP = body.top_p;
+    const maxTokens = body.max_completion_tokens !== undefined ? body.max_completion_tokens : body.max_tokens;
+    if (maxTokens !== undefined) generationConfig.maxOutputTokens = maxTokens;
+    if (body.stop) generationConfig.stopSequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+    if (body.response_format && body.response_format.type === 'json_object') {
+      generationConfig.responseMimeType = 'application/json';
     }
 
-    // --- 清洗 Body 中的 tools 参数 （兼容rikkahub）---
-    let finalBody = req.body;
-    
-    // 1. 确保我们需要处理的是对象
-    if (typeof finalBody === 'string') {
-        try {
-            finalBody = JSON.parse(finalBody);
-        } catch (e) {
-            // 如果解析失败，说明不是 JSON，保持原样
-            Logger.error('解析请求 Body 失败，将按原样发送');
-        }
+    const geminiBody = { contents };
+    if (systemParts.length > 0) geminiBody.systemInstruction = { parts: systemParts };
+    if (Object.keys(generationConfig).length > 0) geminiBody.generationConfig = generationConfig;
+    return geminiBody;
+  },
+
+  _convertContent(content) {
+    if (content === null || content === undefined) return [];
+    if (typeof content === 'string') return [{ text: content }];
+
+    return content.map(part => {
+      if (part.type === 'text') return { text: part.text };
+      if (part.type === 'image_url') {
+        const url = typeof part.image_url === 'string' ? part.image_url : part.image_url.url;
+        return GeminiResponse.imagePart(url);
+      }
+      return null;
+    }).filter(Boolean);
+  },
+
+  usage(usageMetadata) {
+    if (!usageMetadata) return undefined;
+    const prompt = usageMetadata.promptTokenCount || 0;
+    const completion = (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0);
+    return {
+      prompt_tokens: prompt,
+      completion_tokens: completion,
+      total_tokens: usageMetadata.totalTokenCount || prompt + completion
+    };
+  },
+
+  finishReason(reason) {
+    if (!reason) return null;
+    return this.FINISH_REASONS[reason] || 'stop';
+  },
+
+  errorBody(code, message, type = 'api_error') {
+    return { error: { message, type, code } };
+  }
+};
+
+// Gemini 响应适配器基类：收集浏览器传回的事件，由子类翻译成目标协议
+class GeminiAdapterBase {
+  constructor(res, options) {
+    this.res = res;
+    this.requestId = options.requestId;
+    this.model = options.model;
+    this.stream = Boolean(options.stream);
+    this.status = 200;
+    this.rawBody = '';
+    this.finished = false;
+    this.output = new StreamKeepAlive(res);
+    this.parser = new SSEParser(data => this._handleStreamEvent(data));
+  }
+
+  onHeaders(message) {
+    this.status = message.status;
+    if (this.status === 200 && this.stream) {
+      this.res.status(200);
+      this.res.setHeader('Content-Type', 'text/event-stream');
+      this.res.setHeader('Cache-Control', 'no-cache');
+      this.res.setHeader('Connection', 'keep-alive');
+      this._startStream();
+      // 翻译后的流同样需要保活
+      this.output.start();
     }
+  }
 
-    // 2. 检查并移除 tools
-    if (typeof finalBody === 'object' && finalBody !== null) {
-        // 检查是否存在 conflicts (tools + thinking)
-        const hasTools = finalBody.tools && finalBody.tools.length > 0;
-        const hasThinking = finalBody.generationConfig && finalBody.generationConfig.thinkingConfig;
-
-        // 策略：为了保证请求成功，如果发现 tools，强制移除。
-        // 你也可以改为：if (hasTools && hasThinking) 来只在冲突时移除
-        if (hasTools) {
-            Logger.log(`🧹 [自动修复] 检测到 tools 参数 (Memory功能)。`);
-            Logger.log(`   由于 tools 与 Thinking 模式往往冲突，正在移除 tools 字段...`);
-            Logger.log(`   (注：System Instruction 中的记忆文本依然保留，AI 仍能读取记忆)`);
-            
-            delete finalBody.tools;
-        }
+  _write(text) {
+    this.output.write(text);
+  }
 
-                // [修复 2] 强制覆盖安全设置 (解决 OFF vs BLOCK_NONE 问题)
-        // 无论客户端传什么，或者是没传，这里都强制覆盖为“不过滤”
-        Logger.log(`🛡️ [自动修复] 强制将安全设置调整为 BLOCK_NONE`);
-        finalBody.safetySettings = [
-            { category: "HARM_CATEGORY_HARASSMENT", threshold: "BLOCK_NONE" },
-            { category: "HARM_CATEGORY_HATE_SPEECH", threshold: "BLOCK_NONE" },
-            { category: "HARM_CATEGORY_SEXUALLY_EXPLICIT", threshold: "BLOCK_NONE" },
-            { category: "HARM_CATEGORY_DANGEROUS_CONTENT", threshold: "BLOCK_NONE" },
-            { category: "HARM_CATEGORY_CIVIC_INTEGRITY", threshold: "BLOCK_NONE" }
-        ];
-        
+  onChunk(message) {
+    if (!message.data) return;
+    if (this.status === 200 && this.stream) {
+      this.parser.push(message.data);
+    } else {
+      this.rawBody += message.data;
     }
-    // --------------------------------------------------
+  }
 
-    // 构建请求规范
-    const requestSpec = {
-      request_id: requestId,
-      method: req.method,
-      path: targetPath,
-      query_params: targetQuery,
-      headers: this.sanitizeHeaders(req.headers),
-      // 使用处理后的 finalBody
-      body: JSON.stringify(finalBody)
-    };
+  onClose() {
+    if (this.status !== 200) {
+      const error = GeminiResponse.parseError(this.status, this.rawBody);
+      return this._sendError(this.status, error.message, error.status);
+    }
 
+    if (this.stream) {
+      this.parser.flush();
+      this.finished = true;
+      this._endStream();
+      this.output.stop();
+      return this.res.end();
+    }
 
-    // --- 3. [DEBUG核心] 打印完整数据包 (无省略) ---
-    console.log('\n🔻🔻🔻🔻🔻 [DEBUG: 发送给浏览器的数据包开始] 🔻🔻🔻🔻🔻');
-    console.log(`请求来源ID: ${requestId}`);
-    
+    let data;
     try {
-        // 直接打印完整对象，不做任何截断
-        console.log(JSON.stringify(requestSpec, null, 2));
+      data = JSON.parse(this.rawBody);
     } catch (e) {
-        // 如果 JSON 序列化失败，直接打印原始对象
-        console.log(requestSpec);
+      return this._sendError(502, `无法解析上游响应: ${e.message}`);
+    }
+    this.finished = true;
+    this.res.status(200).json(this._buildResult(data));
+  }
+
+  onError(message) {
+    // 上游错误体优先，保留原始错误信息
+    if (message.body) {
+      const error = GeminiResponse.parseError(message.status, message.body);
+      return this._sendError(message.status, error.message, error.status);
     }
-    console.log('🔺🔺🔺🔺🔺 [DEBUG: 发送给浏览器的数据包结束] 🔺🔺🔺🔺🔺\n');
-    // --------------------------------------------------
+    this._sendError(message.status || 500, message.message);
+  }
 
-    
+  _sendError(status, message, googleStatus) {
+    if (this.finished) return;
+    this.finished = true;
+    const body = this._buildError(status, message, googleStatus);
+    if (!this.res.headersSent) {
+      return this.res.status(status).json(body);
+    }
+    // 流已经开始，只能在流中报告错误
+    this.output.stop();
+    this._writeStreamError(body);
+    this.res.end();
+  }
 
+  // 以下由子类实现
+  _startStream() {}
+  _handleStreamEvent() {}
+  _endStream() {}
+  _buildResult(data) { return data; }
+  _buildError(status, message) { return { error: { code: status, message } }; }
+  _writeStreamError() {}
+}
 
+// OpenAI 响应适配器：把浏览器传回的 Gemini 响应翻译成 chat.completion
+class OpenAIChatAdapter extends GeminiAdapterBase {
+  constructor(res, options) {
+    super(res, options);
+    this.includeUsage = options.includeUsage;
+    this.id = `chatcmpl-${options.requestId}`;
+    this.created = Math.floor(Date.now() / 1000);
+    this.usage = null;
+    this.roleSent = new Set();
+  }
 
-    Logger.log(`📤 转发请求到浏览器: ${requestId}`);
-    
-    // 发送到浏览器
-    this.browserClient.send(JSON.stringify(requestSpec));
-    
-    // 存储响应对象
-    this.pendingRequests.set(requestId, {
-      res,
-      headersSent: false,
-      timeout: setTimeout(() => {
-        if (this.pendingRequests.has(requestId)) {
-          this.pendingRequests.delete(requestId);
-          if (!res.headersSent) {
-            res.status(504).json({
-              error: 'Request timeout',
-              request_id: requestId
-            });
-          }
-        }
-      }, 600000) // 10分钟
+  _buildResult(data) {
+    const choices = (data.candidates || []).map((candidate, index) => {
+      const { text, thought } = GeminiResponse.splitParts(candidate);
+      const messageBody = { role: 'assistant', content: text };
+      if (thought) messageBody.reasoning_content = thought;
+      return {
+        index: candidate.index !== undefined ? candidate.index : index,
+        message: messageBody,
+        finish_reason: OpenAICompat.finishReason(candidate.finishReason) || 'stop'
+      };
     });
+
+    return {
+      id: this.id,
+      object: 'chat.completion',
+      created: this.created,
+      model: data.modelVersion || this.model,
+      choices,
+      usage: OpenAICompat.usage(data.usageMetadata)
+    };
   }
-  
-  handleBrowserMessage(data) {
-    try {
-      const message = JSON.parse(data.toString());
-      const requestId = message.request_id;
-      
-      if (!requestId || !this.pendingRequests.has(requestId)) {
-        Logger.error('收到未知请求ID的响应:', requestId);
-        return;
-      }
-      
-      const pending = this.pendingRequests.get(requestId);
-      
-      switch (message.event_type) {
-        case 'response_headers':
-          this.handleResponseHeaders(message, pending);
-          break;
-          
-        case 'chunk':
-          this.handleChunk(message, pending);
-          break;
-          
-        case 'stream_close':
-          this.handleStreamClose(message, pending);
-          break;
-          
-        case 'error':
-          this.handleError(message, pending);
-          break;
-          
-        default:
-          Logger.log('未知事件类型:', message.event_type);
+
+  _handleStreamEvent(data) {
+    if (data.usageMetadata) this.usage = OpenAICompat.usage(data.usageMetadata);
+
+    (data.candidates || []).forEach((candidate, i) => {
+      const index = candidate.index !== undefined ? candidate.index : i;
+      const { text, thought } = GeminiResponse.splitParts(candidate);
+      const delta = {};
+      if (!this.roleSent.has(index)) {
+        delta.role = 'assistant';
+        this.roleSent.add(index);
       }
-    } catch (error) {
-      Logger.error('处理浏览器消息失败:', error.message);
-    }
+      if (text) delta.content = text;
+      if (thought) delta.reasoning_content = thought;
+
+      const finishReason = OpenAICompat.finishReason(candidate.finishReason);
+      if (Object.keys(delta).length === 0 && !finishReason) return;
+
+      this._writeEvent({
+        ...this._chunkBase(data.modelVersion),
+        choices: [{ index, delta, finish_reason: finishReason }]
+      });
+    });
   }
-  
-  // 1. 替换 handleResponseHeaders 方法
-  handleResponseHeaders(message, pending) {
-      // 到头也重置计时器 ---
-    if (pending.timeout) {
-      clearTimeout(pending.timeout);
-      // 重置为 5 分钟
-      pending.timeout = setTimeout(() => {
-         // ... (同 handleChunk 中的逻辑，或者简化处理)
-         if (this.pendingRequests.has(message.request_id)) {
-            this.pendingRequests.delete(message.request_id);
-            pending.res.end();
-         }
-      }, 300000);
-    }
 
-    if (pending.headersSent) {
-        console.log(`[DEBUG] ⚠️ 警告: 尝试设置响应头，但头已发送 (ID: ${message.request_id})`);
-        return;
+  _endStream() {
+    if (this.includeUsage && this.usage) {
+      this._writeEvent({ ...this._chunkBase(), choices: [], usage: this.usage });
     }
-    
-    // [DEBUG] 打印浏览器传回来的原始头
-    console.log(`\n📥 [DEBUG: 收到浏览器响应头] ID: ${message.request_id}`);
-    console.log(`Status: ${message.status}`);
-    console.log(`Headers:`, JSON.stringify(message.headers, null, 2));
+    this._write('data: [DONE]\n\n');
+  }
 
-    // 设置状态码
-    pending.res.status(message.status);
-    
-    // 设置响应头
-    if (message.headers) {
-      Object.entries(message.headers).forEach(([key, value]) => {
-        const lowerKey = key.toLowerCase();
-        // 排除掉可能引起问题的传输头
-        if (!['transfer-encoding', 'content-encoding', 'content-length', 'connection'].includes(lowerKey)) {
-          pending.res.setHeader(key, value);
+  _chunkBase(modelVersion) {
+    return {
+      id: this.id,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: modelVersion || this.model
+    };
+  }
+
+  _writeEvent(payload) {
+    this._write(`data: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  _buildError(status, message, type) {
+    return OpenAICompat.errorBody(status, message, type);
+  }
+
+  _writeStreamError(body) {
+    this._writeEvent(body);
+    this._write('data: [DONE]\n\n');
+  }
+}
+
+// OpenAI 模型列表适配器：/v1beta/models -> /v1/models
+class OpenAIModelsAdapter extends OpenAIChatAdapter {
+  constructor(res, requestId) {
+    super(res, { requestId, stream: false });
+  }
+
+  _buildResult(data) {
+    return {
+      object: 'list',
+      data: (data.models || []).map(model => ({
+        id: model.name.replace(/^models\//, ''),
+        object: 'model',
+        created: 0,
+        owned_by: 'google'
+      }))
+    };
+  }
+}
+
+// Anthropic Messages API 兼容层
+const AnthropicCompat = {
+  STOP_REASONS: {
+    STOP: 'end_turn',
+    MAX_TOKENS: 'max_tokens',
+    SAFETY: 'refusal',
+    RECITATION: 'refusal',
+    BLOCKLIST: 'refusal',
+    PROHIBITED_CONTENT: 'refusal',
+    SPII: 'refusal'
+  },
+
+  ERROR_TYPES: {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    404: 'not_found_error',
+    413: 'request_too_large',
+    429: 'rate_limit_error',
+    503: 'overloaded_error',
+    529: 'overloaded_error'
+  },
+
+  // 转换前校验 messages / system 结构，返回错误说明 (通过时为 null)
+  validate(body) {
+    if (!body.model || !Array.isArray(body.messages)) return 'model 和 messages 为必填字段';
+    const invalidContent = (content, field) => {
+      if (content === null || content === undefined || typeof content === 'string') return null;
+      if (!Array.isArray(content)) return `${field} 必须是字符串或内容块数组`;
+      const badBlock = content.findIndex(block => {
+        if (!block || typeof block !== 'object' || typeof block.type !== 'string') return true;
+        if (block.type === 'text') return typeof block.text !== 'string';
+        if (block.type === 'image') {
+          const source = block.source;
+          if (!source || typeof source !== 'object') return true;
+          if (source.type === 'base64') return typeof source.media_type !== 'string' || typeof source.data !== 'string';
+          if (source.type === 'url') return typeof source.url !== 'string';
         }
+        return false;
       });
+      return badBlock === -1 ? null : `${field}[${badBlock}] 格式无效`;
+    };
+    for (const [index, message] of body.messages.entries()) {
+      if (!message || typeof message !== 'object' || Array.isArray(message)) return `messages.${index} 必须是对象`;
+      if (!['user', 'assistant'].includes(message.role)) return `messages.${index}.role 必须是 user 或 assistant`;
+      const problem = invalidContent(message.content, `messages.${index}.content`);
+      if (problem) return problem;
     }
-    
-    // [强行补救] 如果是流式传输且没有 content-type，强行加上
-    // 很多客户端如果没看到 text/event-stream 就会报错   （兼容rikkahub）
-    const existingContentType = pending.res.getHeader('content-type');
-    if (!existingContentType && message.status === 200) {
-        console.log('[DEBUG] ⚠️ 响应头缺少 Content-Type，正在尝试自动补全为 text/event-stream');
-        pending.res.setHeader('Content-Type', 'text/event-stream');
-    }
+    return invalidContent(body.system, 'system');
+  },
 
-    pending.headersSent = true;
-    Logger.log(`📥 响应头已处理并发送给客户端`);
-  }
-  
-  // 2. 替换 handleChunk 方法
-  handleChunk(message, pending) {
+  // Anthropic 请求 -> Gemini 请求 ({ path, query_params, body })
+  toGeminiRequest(body) {
+    return buildGeminiRequest(body.model, body.stream, this.toGeminiBody(body));
+  },
 
-    // 心跳保活逻辑 
-    // 每次收到 chunk，说明连接还活着，清除旧的超时定时器，重新计时
-    if (pending.timeout) {
-      clearTimeout(pending.timeout);
+  // Anthropic messages -> Gemini generateContent body
+  toGeminiBody(body) {
+    const contents = [];
+    (body.messages || []).forEach(message => {
+      const parts = this._convertContent(message.content);
+      if (parts.length === 0) return;
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const last = contents[contents.length - 1];
+      if (last && last.role === role) {
+        last.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    });
+
+    const generationConfig = {};
+    if (body.max_tokens !== undefined) generationConfig.maxOutputTokens = body.max_tokens;
+    if (body.temperature !== undefined) generationConfig.temperature = body.temperature;
+    if (body.top_p !== undefined) generationConfig.topP = body.top_p;
+    if (body.top_k !== undefined) generationConfig.topK = body.top_k;
+    if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+      generationConfig.stopSequences = body.stop_sequences;
     }
-    
-    // 重置超时为 5 分钟（即：如果 5 分钟内没有新字吐出来，才算超时）
-    pending.timeout = setTimeout(() => {
-      if (this.pendingRequests.has(message.request_id)) {
-        Logger.error(`请求长时间无数据传输，判定超时: ${message.request_id}`);
-        this.pendingRequests.delete(message.request_id);
-        if (!pending.res.headersSent) {
-           // 这里很难进入，因为通常chunk来的时候header已经发了，但为了健壮性保留
-           pending.res.status(504).end(); 
-        } else {
-           pending.res.end(); // 强制断开 HTTP 流
+    if (body.thinking && body.thinking.type === 'enabled') {
+      generationConfig.thinkingConfig = { includeThoughts: true };
+      if (body.thinking.budget_tokens !== undefined) {
+        generationConfig.thinkingConfig.thinkingBudget = body.thinking.budget_tokens;
+      }
+    }
+
+    const geminiBody = { contents };
+    const systemParts = this._convertContent(body.system).filter(part => part.text !== undefined);
+    if (systemParts.length > 0) geminiBody.systemInstruction = { parts: systemParts };
+    if (Object.keys(generationConfig).length > 0) geminiBody.generationConfig = generationConfig;
+    return geminiBody;
+  },
+
+  _convertContent(content) {
+    if (content === null || content === undefined) return [];
+    if (typeof content === 'string') return [{ text: content }];
+
+    return content.map(block => {
+      if (block.type === 'text') return { text: block.text };
+      if (block.type === 'image' && block.source) {
+        if (block.source.type === 'base64') {
+          return { inlineData: { mimeType: block.source.media_type, data: block.source.data } };
         }
+        if (block.source.type === 'url') return GeminiResponse.imagePart(block.source.url);
       }
-    }, 300000); // 300秒空闲超时
+      // 历史中的 thinking 块无法回传给 Gemini，直接忽略
+      return null;
+    }).filter(Boolean);
+  },
 
+  stopReason(reason) {
+    return this.STOP_REASONS[reason] || 'end_turn';
+  },
 
-    if (!pending.headersSent) {
-      // [严重警告] 如果代码运行到这里，说明收到数据块时，头还没处理！
-      // 这会导致 Express 发送默认的 header (不包含 content-type)
-      console.log(`\n☠️ [严重错误] ID: ${message.request_id} - 在收到响应头之前收到了数据块！`);
-      console.log(`这将导致客户端收到 "invalid content-type"`);
-      
-      // 紧急补救：手动发送 SSE 头
-      pending.res.status(200);
-      pending.res.setHeader('Content-Type', 'text/event-stream');
-      pending.res.setHeader('Cache-Control', 'no-cache');
-      pending.res.setHeader('Connection', 'keep-alive');
-      
-      pending.headersSent = true;
-    }
-    if (message.data) {
-        console.log(`📦 [数据块内容]: ${message.data.trim()}`);
-    }
-    // 写入数据块
-    pending.res.write(message.data);
+  usage(usageMetadata) {
+    const meta = usageMetadata || {};
+    return {
+      input_tokens: meta.promptTokenCount || 0,
+      output_tokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0)
+    };
+  },
+
+  errorBody(status, message) {
+    return {
+      type: 'error',
+      error: { type: this.ERROR_TYPES[status] || 'api_error', message }
+    };
   }
-  
-  handleStreamClose(message, pending) {
-    Logger.success(`✅ 请求完成: ${message.request_id}`);
-    
-    // 清理超时定时器
-    if (pending.timeout) {
-      clearTimeout(pending.timeout);
-    }
-    
-    // 结束响应
-    if (!pending.res.headersSent) {
-      pending.res.status(200);
-    }
-    pending.res.end();
-    
-    // 清理待处理请求
-    this.pendingRequests.delete(message.request_id);
+};
+
+// Anthropic 响应适配器：把 Gemini 响应重建为 Messages API 的消息 / 事件序列
+class AnthropicMessagesAdapter extends GeminiAdapterBase {
+  constructor(res, options) {
+    super(res, options);
+    this.id = `msg_${options.requestId}`;
+    this.blockIndex = -1;
+    this.blockType = null;
+    this.stopReason = null;
+    this.usage = AnthropicCompat.usage(null);
   }
-  
-  handleError(message, pending) {
-    Logger.error(`请求错误: ${message.request_id}`, message.message);
-    
-    // 清理超时定时器
-    if (pending.timeout) {
-      clearTimeout(pending.timeout);
-    }
-    
-    // 发送错误响应
-    if (!pending.res.headersSent) {
-      pending.res.status(message.status || 500).json({
-        error: 'Proxy error',
-        message: message.message,
-        request_id: message.request_id
-      });
-    } else {
-      pending.res.end();
+
+  _buildResult(data) {
+    const candidate = (data.candidates || [])[0];
+    const { text, thought } = GeminiResponse.splitParts(candidate);
+    const content = [];
+    if (thought) content.push({ type: 'thinking', thinking: thought, signature: '' });
+    content.push({ type: 'text', text });
+
+    return {
+      id: this.id,
+      type: 'message',
+      role: 'assistant',
+      model: this.model,
+      content,
+      stop_reason: AnthropicCompat.stopReason(candidate && candidate.finishReason),
+      stop_sequence: null,
+      usage: AnthropicCompat.usage(data.usageMetadata)
+    };
+  }
+
+  _startStream() {
+    this._writeEvent('message_start', {
+      type: 'message_start',
+      message: {
+        id: this.id,
+        type: 'message',
+        role: 'assistant',
+        model: this.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+      }
+    });
+  }
+
+  _handleStreamEvent(data) {
+    if (data.usageMetadata) this.usage = AnthropicCompat.usage(data.usageMetadata);
+
+    const candidate = (data.candidates || [])[0];
+    if (!candidate) return;
+
+    const parts = (candidate.content && candidate.content.parts) || [];
+    parts.forEach(part => {
+      if (typeof part.text !== 'string' || part.text === '') return;
+      if (part.thought) {
+        this._ensureBlock('thinking');
+        this._writeEvent('content_block_delta', {
+          type: 'content_block_delta',
+          index: this.blockIndex,
+          delta: { type: 'thinking_delta', thinking: part.text }
+        });
+      } else {
+        this._ensureBlock('text');
+        this._writeEvent('content_block_delta', {
+          type: 'content_block_delta',
+          index: this.blockIndex,
+          delta: { type: 'text_delta', text: part.text }
+        });
+      }
+    });
+
+    if (candidate.finishReason) {
+      this.stopReason = AnthropicCompat.stopReason(candidate.finishReason);
     }
-    
-    // 清理待处理请求
-    this.pendingRequests.delete(message.request_id);
   }
-  
-  sanitizeHeaders(headers) {
-    const sanitized = { ...headers };
-    
-    // 删除不应该转发的头
-    delete sanitized.host;
-    delete sanitized.connection;
-    delete sanitized['content-length'];
-    
-    return sanitized;
+
+  // 内容类型切换时关闭当前块并开启新块
+  _ensureBlock(type) {
+    if (this.blockType === type) return;
+    this._closeBlock();
+    this.blockIndex++;
+    this.blockType = type;
+    const contentBlock = type === 'thinking'
+      ? { type: 'thinking', thinking: '' }
+      : { type: 'text', text: '' };
+    this._writeEvent('content_block_start', {
+      type: 'content_block_start',
+      index: this.blockIndex,
+      content_block: contentBlock
+    });
+  }
+
+  _closeBlock() {
+    if (this.blockType === null) return;
+    this._writeEvent('content_block_stop', { type: 'content_block_stop', index: this.blockIndex });
+    this.blockType = null;
+  }
+
+  _endStream() {
+    this._closeBlock();
+    this._writeEvent('message_delta', {
+      type: 'message_delta',
+      delta: { stop_reason: this.stopReason || 'end_turn', stop_sequence: null },
+      usage: this.usage
+    });
+    this._writeEvent('message_stop', { type: 'message_stop' });
+  }
+
+  _writeEvent(event, payload) {
+    this._write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  _buildError(status, message) {
+    return AnthropicCompat.errorBody(status, message);
+  }
+
+  _writeStreamError(body) {
+    this._writeEvent('error', body);
   }
 }
 
@@ -472,6 +3895,20 @@ async function main() {
   console.log('🚀 Google AI Studio 代理服务器');
   console.log('==============================================\n');
   
+  try {
+    Object.assign(CONFIG, ConfigLoader.load());
+    if (ConfigLoader.configFile) {
+      Logger.success(`已加载配置文件: ${ConfigLoader.configFile}`);
+    }
+  } catch (error) {
+    Logger.error(error.message);
+    process.exit(1);
+  }
+  
+  // 恢复今日用量，退出时写回
+  Quota.load();
+  process.on('exit', () => Quota.flush());
+
   try {
     const proxyManager = new ProxyManager();
     const httpServer = new HTTPServer(proxyManager);
@@ -482,17 +3919,49 @@ async function main() {
     // 启动 HTTP 服务
     await httpServer.start();
     
+    // 监听 SIGHUP / 配置文件变化
+    ConfigLoader.watch();
+
+    // 优雅关闭：再次收到信号时立即退出
+    const shutdown = async (signal) => {
+      if (proxyManager.draining) {
+        Logger.warn('再次收到退出信号，立即退出');
+        process.exit(1);
+      }
+      console.log(`\n\n👋 收到 ${signal}，正在关闭服务器...`);
+      // HTTP 服务继续监听到关闭结束，新请求由中间件返回 503
+      await proxyManager.shutdown();
+      Logger.success('服务器已关闭');
+      process.exit(0);
+    };
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    
     console.log('\n==============================================');
     Logger.success('所有服务启动完成！');
     console.log('==============================================\n');
+    if (!Auth.enabled()) {
+      Logger.warn('未配置 PROXY_API_KEYS，HTTP 接口对所有人开放');
+    } else if (CONFIG.ADMIN_API_KEYS.length === 0) {
+      Logger.warn('未配置 PROXY_ADMIN_API_KEYS，profile 与缓存管理接口不可用，调用方只能查看和取消自己的请求');
+    }
+    if (!CONFIG.WS_TOKEN) {
+      Logger.warn('未配置 PROXY_WS_TOKEN，任何本地进程都可以作为浏览器客户端接入');
+    }
+    if (CONFIG.CASSETTE_MODE !== 'off') {
+      Logger.warn(`📼 ${CONFIG.CASSETTE_MODE === 'record' ? '录制' : '回放'}模式已开启，录制目录: ${CONFIG.CASSETTE_DIR}`);
+    }
     console.log('📝 使用说明:');
     console.log('1. 在浏览器中打开 AI Studio 并登录');
     console.log('2. 按 F12 打开开发者工具');
     console.log('3. 运行 g-browser.js 代码');
     console.log('4. 看到 "浏览器代理系统已成功启动" 后即可使用');
+    console.log('   (无浏览器时可运行无头客户端: node g-node.js --api-key <key>，--upstream-base-url 可指向本地替身服务)');
     console.log('\n💡 测试命令:');
     console.log(`   GET  http://127.0.0.1:${CONFIG.HTTP_PORT}/v1beta/models`);
     console.log(`   POST http://127.0.0.1:${CONFIG.HTTP_PORT}/v1beta/models/gemini-pro:generateContent`);
+    console.log(`   POST http://127.0.0.1:${CONFIG.HTTP_PORT}/v1/chat/completions  (OpenAI 兼容)`);
+    console.log(`   POST http://127.0.0.1:${CONFIG.HTTP_PORT}/v1/messages  (Anthropic 兼容)`);
     console.log('\n按 Ctrl+C 停止服务器\n');
     
   } catch (error) {
@@ -501,16 +3970,5 @@ async function main() {
   }
 }
 
-// 优雅关闭
-process.on('SIGINT', () => {
-  console.log('\n\n👋 正在关闭服务器...');
-  process.exit(0);
-});
-
-process.on('SIGTERM', () => {
-  console.log('\n\n👋 正在关闭服务器...');
-  process.exit(0);
-});
-
 // 启动
 main();
\ No newline at end of file